@@ -0,0 +1,393 @@
+/**
+ * LINK CHECKER
+ * ------------
+ * Checks every web address in the data files and writes a report, so deleted LinkedIn posts and moved
+ * vendor documentation pages are found before visitors find them. It uses only Node's built-in modules,
+ * so there is nothing to install:
+ *
+ *   node check-links.js [options]
+ *
+ *   --root <folder>       The folder with datasets.json and the data files (default: this script's folder).
+ *   --out <name>          Where to write the report: <name>.json and <name>.html (default: link-report).
+ *   --concurrency <n>     How many addresses are checked at the same time (default: 8).
+ *   --per-host <n>        How many of those may go to the same web site (default: 2), so no site is flooded.
+ *   --timeout <ms>        How long to wait for a site to answer (default: 15000).
+ *   --max-redirects <n>   How many redirects to follow before giving up (default: 10).
+ *
+ * Every data file listed in datasets.json is read and every http(s) address is collected: the 'url' columns,
+ * and addresses written inside other text (an 'info' value like "See https://www.ibm.com/docs/... for details").
+ * Each address is checked once, however many records use it, with a GET request whose body is not read.
+ * The result of an address is one of (see classifyResult):
+ *   ok          The page answered (2xx).
+ *   redirected  The page answered after one or more redirects: it has moved, the record should get the new address.
+ *   broken      The page or the site is gone (404, 410, unknown host name).
+ *   blocked     The site refuses automated checks (401, 403, 429, and LinkedIn's 999); check these by hand.
+ *   error       Anything else: a timeout, a refused connection, a server error (5xx), too many redirects.
+ *
+ * The JSON report lists every address with its result and the records (dataset, data file, id, field) that use
+ * it; the editor (edit.html, "Load link report...") reads it to flag those records. The HTML report is the
+ * same list for reading in a browser. Both can be pointed at a local test server, e.g. a data file in a
+ * folder of its own (--root) whose addresses are http://127.0.0.1:<port>/...
+ * test/check-links.test.js does that (run it with "node --test test/").
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// =================================================================================
+// --- 1. CONFIGURATION ---
+// =================================================================================
+
+// The dataset manifest; the data files it lists are the ones checked.
+const DATASET_MANIFEST_FILE = 'datasets.json';
+
+// The defaults of the command-line options.
+const DEFAULT_OPTIONS = {
+    root: __dirname,
+    out: 'link-report',
+    concurrency: 8,
+    perHost: 2,
+    timeout: 15000,
+    maxRedirects: 10
+};
+
+// Some sites answer differently (or not at all) without a browser-like User-Agent.
+const USER_AGENT = 'Mozilla/5.0 (compatible; zosinfo-link-checker)';
+
+// An http(s) address inside free text. What may end it is cleaned up by extractUrls.
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+
+// Statuses that mean the site won't tell an automated check (LinkedIn answers 999 to anything that isn't a browser).
+const BLOCKED_STATUSES = new Set([401, 403, 429, 999]);
+
+// Statuses that mean the page is gone.
+const GONE_STATUSES = new Set([404, 410]);
+
+// The order of the results in the reports: the ones that need attention first.
+const RESULT_ORDER = ['broken', 'error', 'redirected', 'blocked', 'ok'];
+
+// =================================================================================
+// --- 2. COLLECTING THE ADDRESSES ---
+// =================================================================================
+
+/**
+ * Finds the http(s) addresses in a piece of text. Punctuation that ends a sentence, and a closing bracket
+ * without an opening one (as in "(see https://example.com/page)"), are not part of the address.
+ * @param {string} text The text.
+ * @returns {Array<string>} The addresses, without duplicates, in the order they appear.
+ */
+function extractUrls(text) {
+    const found = [];
+    for (const match of String(text).matchAll(URL_PATTERN)) {
+        let url = match[0].replace(/[.,;:!?]+$/, '');
+        while (/[)\]]$/.test(url)) {
+            const closing = url.slice(-1);
+            const opening = closing === ')' ? '(' : '[';
+            if (url.split(opening).length >= url.split(closing).length) break;
+            url = url.slice(0, -1).replace(/[.,;:!?]+$/, '');
+        }
+        if (!found.includes(url)) found.push(url);
+    }
+    return found;
+}
+
+/**
+ * Reads the manifest and the data files it lists, and collects every address with the records that use it.
+ * @param {string} root The folder with datasets.json.
+ * @returns {Promise<Map<string, Array<Object>>>} Address -> the uses: { dataset, dataFile, id, field, label }.
+ */
+async function collectLinks(root) {
+    const manifest = JSON.parse(await fsp.readFile(path.join(root, DATASET_MANIFEST_FILE), 'utf8'));
+    const links = new Map();
+    for (const [key, dataset] of Object.entries(manifest.datasets || {})) {
+        let records;
+        try {
+            records = JSON.parse(await fsp.readFile(path.join(root, dataset.dataFile), 'utf8'));
+        } catch (error) {
+            console.warn(`Skipping dataset '${key}': could not read ${dataset.dataFile} (${error.message}).`);
+            continue;
+        }
+        const columns = dataset.columns || [];
+        // A short description of each record for the HTML report, from its short text columns (e.g. Vendor and component, or the topic).
+        const labelColumns = columns.filter(column => column.type !== 'code' && column.type !== 'url').map(column => column.name);
+        records.forEach(record => {
+            const label = labelColumns.map(name => record[name]).filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+                .slice(0, 2).join(' / ').slice(0, 100);
+            Object.entries(record).forEach(([field, value]) => {
+                if (typeof value !== 'string') return;
+                extractUrls(value).forEach(url => {
+                    if (!links.has(url)) links.set(url, []);
+                    links.get(url).push({ dataset: key, dataFile: dataset.dataFile, id: record.id || null, field, label });
+                });
+            });
+        });
+    }
+    return links;
+}
+
+// =================================================================================
+// --- 3. CHECKING AN ADDRESS ---
+// =================================================================================
+
+/**
+ * Makes one GET request and resolves as soon as the status line and headers are in; the body is thrown away.
+ * @param {URL} url The address.
+ * @param {number} timeout How long to wait for an answer, in milliseconds.
+ * @returns {Promise<{status: number, location: string|undefined}>} The status and the Location header.
+ */
+function requestHeaders(url, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, {
+            headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml,*/*' },
+            timeout
+        }, (response) => {
+            resolve({ status: response.statusCode, location: response.headers.location });
+            // Only the status matters; don't download the page.
+            response.destroy();
+        });
+        request.on('timeout', () => request.destroy(new Error(`No answer within ${timeout} ms`)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Works out the result of a check from the last status and whether there were redirects.
+ * @param {number} status The HTTP status of the last answer.
+ * @param {number} redirects How many redirects were followed.
+ * @returns {'ok'|'redirected'|'broken'|'blocked'|'error'} The result.
+ */
+function classifyResult(status, redirects) {
+    if (status >= 200 && status < 300) return redirects > 0 ? 'redirected' : 'ok';
+    if (GONE_STATUSES.has(status)) return 'broken';
+    if (BLOCKED_STATUSES.has(status)) return 'blocked';
+    return 'error';
+}
+
+/**
+ * Checks one address, following redirects.
+ * @param {string} address The address.
+ * @param {{timeout: number, maxRedirects: number}} options The limits.
+ * @returns {Promise<Object>} { url, result, status, finalUrl, redirects, error }; never rejects.
+ */
+async function checkUrl(address, options) {
+    const outcome = { url: address, result: 'error', status: null, finalUrl: address, redirects: 0, error: null };
+    let url;
+    try {
+        url = new URL(address);
+    } catch (error) {
+        outcome.error = 'Not a valid address';
+        return outcome;
+    }
+    try {
+        for (;;) {
+            const { status, location } = await requestHeaders(url, options.timeout);
+            outcome.status = status;
+            outcome.finalUrl = url.href;
+            if (status >= 300 && status < 400 && location) {
+                if (outcome.redirects === options.maxRedirects) {
+                    outcome.error = `More than ${options.maxRedirects} redirects`;
+                    return outcome;
+                }
+                outcome.redirects++;
+                url = new URL(location, url);
+                continue;
+            }
+            outcome.result = classifyResult(status, outcome.redirects);
+            if (outcome.result === 'error') outcome.error = `HTTP ${status}`;
+            return outcome;
+        }
+    } catch (error) {
+        // A host name that doesn't exist means the site is gone; anything else may be temporary.
+        outcome.result = error.code === 'ENOTFOUND' ? 'broken' : 'error';
+        outcome.error = error.code ? `${error.code}: ${error.message}` : error.message;
+        return outcome;
+    }
+}
+
+/**
+ * Checks a list of addresses, at most `concurrency` at a time and at most `perHost` per web site.
+ * @param {Array<string>} urls The addresses.
+ * @param {Object} options The limits (see DEFAULT_OPTIONS).
+ * @param {function(Object, number): void} [onResult] Called with each result and the number done so far.
+ * @returns {Promise<Map<string, Object>>} Address -> result of checkUrl.
+ */
+function checkUrls(urls, options, onResult) {
+    return new Promise((resolve) => {
+        const results = new Map();
+        const waiting = [...urls];
+        const activePerHost = new Map();
+        let running = 0;
+        const hostOf = url => {
+            try {
+                return new URL(url).host.toLowerCase();
+            } catch (error) {
+                return '';
+            }
+        };
+
+        const startMore = () => {
+            if (waiting.length === 0 && running === 0) {
+                resolve(results);
+                return;
+            }
+            for (let i = 0; i < waiting.length && running < options.concurrency;) {
+                const url = waiting[i];
+                const host = hostOf(url);
+                if ((activePerHost.get(host) || 0) >= options.perHost) {
+                    i++; // This site is busy; try the next address.
+                    continue;
+                }
+                waiting.splice(i, 1);
+                running++;
+                activePerHost.set(host, (activePerHost.get(host) || 0) + 1);
+                checkUrl(url, options).then(result => {
+                    results.set(url, result);
+                    running--;
+                    activePerHost.set(host, activePerHost.get(host) - 1);
+                    if (onResult) onResult(result, results.size);
+                    startMore();
+                });
+            }
+        };
+        startMore();
+    });
+}
+
+// =================================================================================
+// --- 4. THE REPORTS ---
+// =================================================================================
+
+/**
+ * Puts the results and the records that use each address together into the report the editor reads.
+ * @param {Map<string, Array<Object>>} links The addresses and their uses, from collectLinks.
+ * @param {Map<string, Object>} results The results, from checkUrls.
+ * @returns {Object} { generatedAt, summary: { urls, ok, redirected, broken, blocked, error }, links: [...] }
+ */
+function buildReport(links, results) {
+    const entries = Array.from(links, ([url, records]) => ({ ...results.get(url), records }));
+    entries.sort((a, b) => RESULT_ORDER.indexOf(a.result) - RESULT_ORDER.indexOf(b.result) || a.url.localeCompare(b.url));
+    const summary = { urls: entries.length };
+    RESULT_ORDER.forEach(result => { summary[result] = entries.filter(entry => entry.result === result).length; });
+    return { generatedAt: new Date().toISOString(), summary, links: entries };
+}
+
+/** Escapes text for use in HTML. */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Renders the report as a stand-alone HTML page: the summary, then one table row per address.
+ * @param {Object} report The report from buildReport.
+ * @returns {string} The page.
+ */
+function renderHtmlReport(report) {
+    const rows = report.links.map(link => {
+        const outcome = link.result === 'redirected'
+            ? `moved to <a href="${escapeHtml(link.finalUrl)}">${escapeHtml(link.finalUrl)}</a>`
+            : escapeHtml(link.error || (link.status ? `HTTP ${link.status}` : ''));
+        const records = link.records.map(record =>
+            `${escapeHtml(record.dataset)}: ${escapeHtml(record.label || '(no description)')} <small>[${escapeHtml(record.id || 'no id')}, ${escapeHtml(record.field)}]</small>`).join('<br>');
+        return `<tr class="${link.result}"><td>${link.result}</td><td><a href="${escapeHtml(link.url)}">${escapeHtml(link.url)}</a></td><td>${outcome}</td><td>${records}</td></tr>`;
+    }).join('\n');
+    const summary = RESULT_ORDER.map(result => `${report.summary[result]} ${result}`).join(', ');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Link report ${escapeHtml(report.generatedAt)}</title>
+<style>
+    body { font-family: 'Courier New', Courier, monospace; margin: 20px; background-color: #f4f4f4; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; background-color: #fff; }
+    th, td { border: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; word-wrap: break-word; }
+    th { background-color: #007bff; color: white; }
+    th:nth-child(1) { width: 8%; } th:nth-child(3) { width: 22%; } th:nth-child(4) { width: 30%; }
+    tr.broken td:first-child, tr.error td:first-child { background-color: #fdecea; color: #b02a37; font-weight: bold; }
+    tr.redirected td:first-child, tr.blocked td:first-child { background-color: #fff3bf; color: #8a6d00; }
+</style>
+</head>
+<body>
+<h1>Link report</h1>
+<p>Checked ${report.summary.urls} address(es) on ${escapeHtml(new Date(report.generatedAt).toLocaleString())}: ${summary}.</p>
+<table>
+<thead><tr><th>Result</th><th>Address</th><th>Details</th><th>Used by</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// =================================================================================
+// --- 5. COMMAND LINE ---
+// =================================================================================
+
+/**
+ * Reads the command-line options (see the top of this file).
+ * @param {Array<string>} args The arguments after 'node check-links.js'.
+ * @returns {Object} The options, defaults filled in.
+ * @throws {Error} For an unknown option or a value that isn't a positive number.
+ */
+function parseArguments(args) {
+    const options = { ...DEFAULT_OPTIONS };
+    const names = { '--root': 'root', '--out': 'out', '--concurrency': 'concurrency', '--per-host': 'perHost', '--timeout': 'timeout', '--max-redirects': 'maxRedirects' };
+    for (let i = 0; i < args.length; i += 2) {
+        const name = names[args[i]];
+        if (!name || args[i + 1] === undefined) {
+            throw new Error(`Unknown option or missing value: '${args[i]}'. Options: ${Object.keys(names).join(', ')}.`);
+        }
+        if (typeof DEFAULT_OPTIONS[name] === 'number') {
+            const value = Number(args[i + 1]);
+            // Redirects may be switched off (0); the other limits need at least 1.
+            if (!Number.isInteger(value) || value < (name === 'maxRedirects' ? 0 : 1)) {
+                throw new Error(`${args[i]} needs a whole number, not '${args[i + 1]}'.`);
+            }
+            options[name] = value;
+        } else {
+            options[name] = args[i + 1];
+        }
+    }
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const links = await collectLinks(options.root);
+    console.log(`Checking ${links.size} address(es) from ${path.join(options.root, DATASET_MANIFEST_FILE)}...`);
+    const results = await checkUrls(Array.from(links.keys()), options, (result, done) => {
+        // Only what needs attention is printed while checking.
+        if (result.result !== 'ok') {
+            console.log(`[${done}/${links.size}] ${result.result.toUpperCase()} ${result.url} ${result.result === 'redirected' ? `-> ${result.finalUrl}` : (result.error || `HTTP ${result.status}`)}`);
+        }
+    });
+
+    const report = buildReport(links, results);
+    await fsp.writeFile(`${options.out}.json`, JSON.stringify(report, null, 2) + '\n');
+    await fsp.writeFile(`${options.out}.html`, renderHtmlReport(report));
+    console.log(`Done: ${RESULT_ORDER.map(result => `${report.summary[result]} ${result}`).join(', ')}.`);
+    console.log(`Wrote ${options.out}.json (load it in the editor with "Load link report...") and ${options.out}.html.`);
+}
+
+// The functions can also be used from another script (e.g. test/check-links.test.js, against a local server).
+module.exports = { extractUrls, collectLinks, checkUrl, checkUrls, classifyResult, buildReport, renderHtmlReport };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
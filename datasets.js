@@ -0,0 +1,386 @@
+/**
+ * DATASET MANIFEST (SHARED)
+ * -------------------------
+ * The datasets of the website are described in one manifest, datasets.json: for each dataset its data file,
+ * its page, and its columns with their type, whether they are required and how they are shown. The public
+ * pages (script-public.js), the editor (script-private.js) and the converter (converter.html) all load it
+ * through this file, so adding a dataset means adding an entry to datasets.json and its data file, no code.
+ * The editor and the converter also share the checks behind the validation rules (see VALIDATION).
+ *
+ * A manifest entry looks like this (only "dataFile" and "columns" are needed):
+ *     "abends": {
+ *       "title": "Abend codes",             // Shown in the menus and pickers (default: the key).
+ *       "heading": "SYSTEM ABEND CODES",    // The big title above the table (default: none).
+ *       "htmlFile": "abends.html",          // A page of its own (default: dataset.html?dataset=abends).
+ *       "dataFile": "abends-data.json",
+ *       "matchFields": ["code"],            // How the editor's spreadsheet import recognises a record without an id.
+ *       "lookupGroupBy": "component",       // How the message ID / abend code lookup groups its records (default: no groups).
+ *       "relatedBy": { "component": 2 },    // The columns (and their weight) that say what a record is about, used to
+ *                                           // suggest related records of the other datasets that have "relatedBy" too.
+ *       "blockSaveOnErrors": true,          // Whether validation errors stop the editor from saving (default: true).
+ *       "columns": [
+ *         { "name": "code", "type": "text", "required": true, "searchWeight": 4 },
+ *         { "name": "component", "type": "enum", "facet": true, "values": ["DFSMS", "JES2"] },
+ *         { "name": "explanation", "type": "code" },
+ *         { "name": "doc", "type": "url" }
+ *       ]
+ *     }
+ *
+ * Column types (see COLUMN_TYPES):
+ *   - text:   free text.
+ *   - url:    a web address; checked before saving. Records with the same address are reported by the
+ *             editor's duplicates report.
+ *   - code:   multi-line text that may hold JCL, REXX or shell code; edited in the monospaced code editor
+ *             and given copy buttons on the public pages. Records with the same or nearly the same text are
+ *             reported by the duplicates report.
+ *   - enum:   a short value that repeats across records (a vendor, a category). The editor suggests the values
+ *             in use and flags spelling variants; "values" lists the preferred spellings and "synonyms" maps
+ *             misspellings to them. Other values are allowed.
+ *   - number: a number; checked before saving.
+ * Display options of a column: "facet" (listed in the facet panel, on pages that have one) and "searchWeight"
+ * (how much a match in this column counts in the global search, default 1).
+ *
+ * Cross-references: besides its columns and its "id", a record of any dataset may have a "related" field that
+ * lists the records of other datasets it refers to, as '<dataset key>:<id>' separated by spaces, e.g.
+ *     "related": "linkedin:k3f9a2xq linkedin:p0d81mzs"
+ * A reference works both ways: the referenced record lists the referring one as related too. The editor's
+ * record form maintains the field; the public pages show it when a row is expanded (see RELATED_FIELD).
+ *
+ * This is a plain script, loaded before the page script:
+ *     <script src="datasets.js"></script>
+ *     <script src="script-public.js"></script>
+ */
+
+// The manifest, relative to the pages.
+const DATASET_MANIFEST_FILE = 'datasets.json';
+
+// The page that shows a dataset without a page of its own, as dataset.html?dataset=<key>.
+const GENERIC_DATASET_PAGE = 'dataset.html';
+
+// The column types a manifest may use.
+const COLUMN_TYPES = ['text', 'url', 'code', 'enum', 'number'];
+
+// The field of a record that lists its cross-references to the records of other datasets (see the top of the file).
+const RELATED_FIELD = 'related';
+
+// Suggested related records: the score a pair of records needs (the weights of the words they share,
+// multiplied), and how many suggestions are shown for one record.
+const RELATED_SUGGESTION_MIN_SCORE = 2;
+const RELATED_SUGGESTION_LIMIT = 5;
+
+// Words that say nothing about what a record is about, so they never make two records related.
+const RELATED_STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'the', 'to',
+    'using', 'vs', 'what', 'with', 'new', 'part', 'ibm', 'mainframe', 'zos']);
+
+/**
+ * Loads datasets.json and turns every entry into the configuration the page scripts use.
+ * @returns {Promise<Object<string, Object>>} The datasets by key, in manifest order (see buildDatasetConfig).
+ * @throws {Error} If the manifest can't be loaded or describes a column wrongly.
+ */
+async function loadDatasetManifest() {
+    // Always ask for the current manifest, so a new dataset shows up without clearing the browser cache.
+    const response = await fetch(DATASET_MANIFEST_FILE, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Could not load ${DATASET_MANIFEST_FILE}. Status: ${response.status}`);
+    }
+    const manifest = await response.json();
+    const datasets = {};
+    Object.entries(manifest.datasets || {}).forEach(([key, entry]) => {
+        datasets[key] = buildDatasetConfig(key, entry);
+    });
+    if (Object.keys(datasets).length === 0) {
+        throw new Error(`${DATASET_MANIFEST_FILE} lists no datasets.`);
+    }
+    return datasets;
+}
+
+/**
+ * Derives the settings of one dataset from its manifest entry: the column list, the validation rules
+ * (from the types and the required flags) and the display settings.
+ * @param {string} key The key of the dataset in the manifest.
+ * @param {Object} entry The manifest entry.
+ * @returns {Object} The dataset configuration:
+ *   { key, title, heading, htmlFile, dataFile, columns, headers, validation, facets, searchWeights,
+ *     codeFields, suggestFields, matchFields, lookupGroupBy, relatedBy }
+ */
+function buildDatasetConfig(key, entry) {
+    if (!entry.dataFile || !Array.isArray(entry.columns) || entry.columns.length === 0) {
+        throw new Error(`${DATASET_MANIFEST_FILE}: dataset '${key}' needs a "dataFile" and at least one column.`);
+    }
+    const columns = entry.columns.map(column => ({ type: 'text', ...column }));
+    columns.forEach(column => {
+        if (!column.name) {
+            throw new Error(`${DATASET_MANIFEST_FILE}: a column of dataset '${key}' has no "name".`);
+        }
+        if (!COLUMN_TYPES.includes(column.type)) {
+            throw new Error(`${DATASET_MANIFEST_FILE}: column '${column.name}' of dataset '${key}' has an unknown type '${column.type}' (use ${COLUMN_TYPES.join(', ')}).`);
+        }
+    });
+    if (entry.lookupGroupBy && !columns.some(column => column.name === entry.lookupGroupBy)) {
+        throw new Error(`${DATASET_MANIFEST_FILE}: "lookupGroupBy" of dataset '${key}' names no column ('${entry.lookupGroupBy}').`);
+    }
+    Object.keys(entry.relatedBy || {}).forEach(name => {
+        if (!columns.some(column => column.name === name)) {
+            throw new Error(`${DATASET_MANIFEST_FILE}: "relatedBy" of dataset '${key}' names no column ('${name}').`);
+        }
+    });
+    const namesOfType = type => columns.filter(column => column.type === type).map(column => column.name);
+    const enumColumns = columns.filter(column => column.type === 'enum');
+
+    return {
+        key,
+        title: entry.title || key,
+        heading: entry.heading || '',
+        htmlFile: entry.htmlFile || `${GENERIC_DATASET_PAGE}?dataset=${encodeURIComponent(key)}`,
+        dataFile: entry.dataFile,
+        columns,
+        headers: columns.map(column => column.name),
+        // The rules checked by the editor's validation report before saving, and by the converter's preview.
+        validation: {
+            required: columns.filter(column => column.required).map(column => column.name),
+            urlFields: namesOfType('url'),
+            numberFields: namesOfType('number'),
+            // Columns checked for case, whitespace and synonym variants of the same value.
+            variantFields: enumColumns.map(column => column.name),
+            // The preferred spelling of common values. Other values are allowed; their most common spelling wins.
+            vocabulary: Object.fromEntries(enumColumns.filter(column => column.values).map(column => [column.name, column.values])),
+            // Misspellings and alternative words, mapped to the value they should be.
+            synonyms: Object.fromEntries(enumColumns.filter(column => column.synonyms).map(column => [column.name, column.synonyms])),
+            blockSaveOnErrors: entry.blockSaveOnErrors !== false
+        },
+        facets: columns.filter(column => column.facet).map(column => column.name),
+        searchWeights: Object.fromEntries(columns.map(column => [column.name, column.searchWeight || 1])),
+        codeFields: namesOfType('code'),
+        suggestFields: enumColumns.map(column => column.name),
+        matchFields: entry.matchFields || [],
+        lookupGroupBy: entry.lookupGroupBy || null,
+        relatedBy: entry.relatedBy || {}
+    };
+}
+
+/**
+ * Works out which dataset a page shows: the ?dataset=<key> query parameter, otherwise the page's own
+ * default (<body data-dataset="...">), otherwise the first dataset of the manifest.
+ * @param {Object<string, Object>} datasets The datasets from loadDatasetManifest.
+ * @returns {string} The key of the dataset.
+ */
+function getRequestedDatasetKey(datasets) {
+    const requested = new URLSearchParams(window.location.search).get('dataset');
+    if (requested && datasets[requested]) return requested;
+    const pageDefault = document.body.dataset.dataset;
+    if (pageDefault && datasets[pageDefault]) return pageDefault;
+    return Object.keys(datasets)[0];
+}
+
+// =================================================================================
+// --- VALIDATION ---
+// The checks behind the "validation" rules of buildDatasetConfig, used by the editor (before saving and
+// in the record form) and by the converter's preview, so a record passes or fails the same way in both.
+// =================================================================================
+
+/**
+ * Normalizes a value for comparing spellings: trimmed, single spaces and lowercase.
+ * @param {*} value The raw cell value.
+ * @returns {string} The normalized value.
+ */
+function normalizeValue(value) {
+    return String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/** Returns true if the value is an absolute http(s) URL. */
+function isValidUrl(value) {
+    if (/\s/.test(value)) return false;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/** Returns true if the value is a plain decimal number, e.g. '7', '-2' or '3.5'. */
+function isValidNumber(value) {
+    return /^[-+]?\d+(\.\d+)?$/.test(value);
+}
+
+/**
+ * Checks the values of one record against the required, URL and number rules of its dataset.
+ * @param {Object} record The record (or the field values of the record form).
+ * @param {Object} rules The dataset's validation rules (see buildDatasetConfig).
+ * @returns {Array<{severity: 'error', field: string, rule: 'required'|'url'|'number', message: string}>} The problems found.
+ */
+function checkRecordValues(record, rules) {
+    const problems = [];
+    const valueOf = field => String(record[field] === undefined || record[field] === null ? '' : record[field]).trim();
+    (rules.required || []).forEach(field => {
+        if (valueOf(field) === '') {
+            problems.push({ severity: 'error', field, rule: 'required', message: `'${field}' must not be empty.` });
+        }
+    });
+    (rules.urlFields || []).forEach(field => {
+        if (valueOf(field) !== '' && !isValidUrl(valueOf(field))) {
+            problems.push({ severity: 'error', field, rule: 'url', message: `'${field}' is not a valid http(s) URL.` });
+        }
+    });
+    (rules.numberFields || []).forEach(field => {
+        if (valueOf(field) !== '' && !isValidNumber(valueOf(field))) {
+            problems.push({ severity: 'error', field, rule: 'number', message: `'${field}' must be a number.` });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Returns the key under which the spellings of one value are grouped: normalized, with synonyms
+ * replaced by the value they stand for (e.g. 'commands ' and 'command' both become 'command').
+ * @param {*} value The value.
+ * @param {string} field The column.
+ * @param {Object} rules The dataset's validation rules.
+ * @returns {string} The key; '' for an empty value.
+ */
+function spellingKey(value, field, rules) {
+    const synonyms = (rules.synonyms && rules.synonyms[field]) || {};
+    const key = normalizeValue(value);
+    return synonyms[key] ? normalizeValue(synonyms[key]) : key;
+}
+
+/**
+ * Picks the preferred spelling of a group of spellings: the controlled vocabulary decides; otherwise the
+ * most common tidy spelling (trimmed, single spaces) wins, the first one seen on a tie.
+ * @param {string} key The key of the group (see spellingKey).
+ * @param {Map<string, number>} spellings The spellings in use, with how often each is used.
+ * @param {string} field The column.
+ * @param {Object} rules The dataset's validation rules.
+ * @returns {string|null} The preferred spelling; null if the vocabulary has none and no spelling is in use.
+ */
+function preferredSpelling(key, spellings, field, rules) {
+    const vocabulary = (rules.vocabulary && rules.vocabulary[field]) || [];
+    const word = vocabulary.find(entry => normalizeValue(entry) === key);
+    if (word) return word;
+    const counts = new Map();
+    spellings.forEach((count, spelling) => {
+        const tidy = String(spelling).trim().replace(/\s+/g, ' ');
+        counts.set(tidy, (counts.get(tidy) || 0) + count);
+    });
+    const mostCommon = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+    return mostCommon ? mostCommon[0] : null;
+}
+
+/**
+ * Groups the case, whitespace and synonym variants of the values of one column (e.g. 'ibm', 'ibm ',
+ * 'IBM', or 'command' vs 'commands') and lists the spellings that differ from the preferred one.
+ * @param {Array<Object>} records The records.
+ * @param {string} field The column.
+ * @param {Object} rules The dataset's validation rules.
+ * @returns {Array<{canonical: string, variants: Array<{spelling: string, indices: Array<number>}>}>}
+ *   One entry per group that has variants; `indices` point into `records`.
+ */
+function findSpellingVariants(records, field, rules) {
+    const groups = new Map(); // key -> Map(spelling -> indices)
+    records.forEach((record, index) => {
+        const value = record[field] === undefined || record[field] === null ? '' : String(record[field]);
+        const key = spellingKey(value, field, rules);
+        if (key === '') return;
+        if (!groups.has(key)) groups.set(key, new Map());
+        const spellings = groups.get(key);
+        if (!spellings.has(value)) spellings.set(value, []);
+        spellings.get(value).push(index);
+    });
+
+    const found = [];
+    groups.forEach((spellings, key) => {
+        const counts = new Map(Array.from(spellings, ([spelling, indices]) => [spelling, indices.length]));
+        const canonical = preferredSpelling(key, counts, field, rules);
+        const variants = Array.from(spellings, ([spelling, indices]) => ({ spelling, indices }))
+            .filter(variant => variant.spelling !== canonical);
+        if (variants.length > 0) found.push({ canonical, variants });
+    });
+    return found;
+}
+
+// =================================================================================
+// --- CROSS-REFERENCES ---
+// =================================================================================
+
+/**
+ * Reads the cross-references of a record.
+ * @param {Object} record The record.
+ * @returns {Array<{dataset: string, id: string}>} The referenced records, in the order they are listed.
+ */
+function parseRelatedReferences(record) {
+    return String(record[RELATED_FIELD] || '').split(/\s+/).filter(part => part.includes(':')).map(part => {
+        const separator = part.indexOf(':');
+        return { dataset: part.slice(0, separator), id: part.slice(separator + 1) };
+    });
+}
+
+/**
+ * Writes a list of cross-references the way they are stored in a record.
+ * @param {Array<{dataset: string, id: string}>} references The references.
+ * @returns {string} E.g. 'linkedin:k3f9a2xq home:ab12cd34' ('' for none).
+ */
+function formatRelatedReferences(references) {
+    return references.map(reference => `${reference.dataset}:${reference.id}`).join(' ');
+}
+
+/**
+ * Lists the words of a record's "relatedBy" columns, each with the weight of its column. Case and a plural
+ * 's' are ignored, so 'JES2 Commands' and 'jes2 command' are the same words.
+ * @param {Object} record The record.
+ * @param {Object} dataset The dataset configuration of the record.
+ * @returns {Map<string, number>} Each word -> its weight.
+ */
+function collectRelatedWords(record, dataset) {
+    const words = new Map();
+    Object.entries(dataset.relatedBy || {}).forEach(([header, weight]) => {
+        String(record[header] || '').toLowerCase().split(/[^a-z0-9$#@]+/).forEach(word => {
+            if (word.length < 2 || /^\d+$/.test(word) || RELATED_STOP_WORDS.has(word)) return;
+            const singular = word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+            words.set(singular, Math.max(words.get(singular) || 0, weight));
+        });
+    });
+    return words;
+}
+
+/**
+ * Suggests the records of another dataset that are probably about the same thing as a record, e.g. the LinkedIn
+ * articles whose topic names the component/product or type of a zOSINFO record. Each word the two records share
+ * counts its weight in one dataset times its weight in the other.
+ * @param {Object} record The record.
+ * @param {Object} dataset The dataset configuration of the record.
+ * @param {Array<Object>} candidates The records of the other dataset.
+ * @param {Object} candidateDataset The dataset configuration of the candidates.
+ * @returns {Array<Object>} The best matching candidates (at most RELATED_SUGGESTION_LIMIT), best first.
+ */
+function suggestRelatedRecords(record, dataset, candidates, candidateDataset) {
+    const words = collectRelatedWords(record, dataset);
+    if (words.size === 0) return [];
+    const scored = [];
+    candidates.forEach((candidate, index) => {
+        if (candidate === record) return;
+        let score = 0;
+        collectRelatedWords(candidate, candidateDataset).forEach((weight, word) => {
+            if (words.has(word)) score += weight * words.get(word);
+        });
+        if (score >= RELATED_SUGGESTION_MIN_SCORE) scored.push({ candidate, score, index });
+    });
+    // Highest score first; equal scores keep the file order.
+    scored.sort((a, b) => b.score - a.score || a.index - b.index);
+    return scored.slice(0, RELATED_SUGGESTION_LIMIT).map(entry => entry.candidate);
+}
+
+/**
+ * Describes a record in one line for the lists of related records: its text and choice columns, without
+ * links, numbers and all but the first line of code.
+ * @param {Object} record The record.
+ * @param {Object} dataset The dataset configuration of the record.
+ * @returns {string} E.g. 'ibm - jes2 - commands - $D I' or 'SYMBOLICS - PART1'.
+ */
+function describeRelatedRecord(record, dataset) {
+    const parts = dataset.columns
+        .filter(column => column.type !== 'url' && column.type !== 'number')
+        .map(column => String(record[column.name] || '').trim().split(/\r?\n/)[0].trim())
+        .filter(part => part !== '');
+    const text = parts.join(' - ');
+    return text.length > 100 ? `${text.slice(0, 99)}…` : text || `[${record.id}]`;
+}
@@ -5,7 +5,9 @@
  * It includes all the functionality of the public script, plus:
  *   - Password protection to enable editing.
  *   - Functions to add, edit, and delete rows in the table.
- *   - A "save" function that generates a new, updated JSON file for download.
+ *   - A "save" function that writes the data file through server.js when the page is served by it,
+ *     and otherwise generates a new, updated JSON file for download.
+ * The table helpers it shares with the public script are in table-helpers.js, which edit.html loads first.
  */
 
 // The 'DOMContentLoaded' event fires when the initial HTML document has been completely loaded and parsed.
@@ -14,53 +16,155 @@ document.addEventListener('DOMContentLoaded', function() {
     // =================================================================================
     // --- 1. CONFIGURATION & INITIALIZATION ---
     // =================================================================================
-    const pageConfigs = {
-        home: {
-            htmlFile: 'zosinfo.html',
-            dataFile: 'zosinfo-data.json',
-            headers: ['Vendor', 'component/product', 'type', 'info']
-        },
-        linkedin: {
-            htmlFile: 'linkedin.html',
-            dataFile: 'linkedin-data.json',
-            headers: ['Sno', 'topic', 'link']
-        }
-    };
+    // The datasets (data file, columns and their types, validation rules) are described in datasets.json and
+    // loaded through datasets.js when the page starts (see section 17). The code columns get the record editor's
+    // code field (section 12), the enum columns its suggestions, and `matchFields` drives the spreadsheet import (section 13).
 
     // =================================================================================
     // --- 2. DATA LOADING ---
     // =================================================================================
+    /**
+     * Loads a data file, together with its revision (see section 11).
+     * @param {string} dataFile The file name.
+     * @returns {Promise<{records: Array<Object>, revision: string|null}>} The records (empty if loading failed).
+     */
     async function loadDataFromFile(dataFile) {
         try {
-            const response = await fetch(dataFile);
+            // Always ask for the current file: an old cached copy would hide other people's saves.
+            const response = await fetch(dataFile, { cache: 'no-cache' });
             if (!response.ok) {
                 throw new Error(`Could not find or load ${dataFile}. Status: ${response.status}`);
             }
-            return await response.json();
+            const text = await response.text();
+            return { records: JSON.parse(text), revision: await computeRevision(text) };
         } catch (error) {
             console.error('Failed to load data from file:', error);
             alert(`Could not load data from '${dataFile}'. Please ensure the file exists and is accessible. The application may not work correctly.`);
-            return [];
+            return { records: [], revision: null };
+        }
+    }
+
+    /**
+     * Computes the revision of a data file from its text: a SHA-256 hash, the same value server.js computes.
+     * @param {string} text The exact content of the file.
+     * @returns {Promise<string>} E.g. 'sha256:9f86d0...'.
+     */
+    async function computeRevision(text) {
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return 'sha256:' + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
         }
+        // crypto.subtle only exists on https:// and localhost pages. Elsewhere a simple FNV-1a checksum
+        // still notices a changed file; the server just can't check it (see saveDataToServer).
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `fnv1a:${(hash >>> 0).toString(16)}:${text.length}`;
     }
 
     // =================================================================================
     // --- 3. GLOBAL STATE AND CONSTANTS ---
     // =================================================================================
-    const EDIT_PASSWORD = 'password123'; // Your private password.
+    // Only used when edit.html is NOT served by server.js (e.g. opened from static hosting), where saving just
+    // downloads a file. Anyone can read it in the page source, so it is not a real protection; server.js
+    // checks a user name and password on the server instead.
+    const EDIT_PASSWORD = 'password123';
+
+    // The choices offered by the page-size selector below the table. 0 stands for "All".
+    const PAGE_SIZE_OPTIONS = [50, 100, 250, 500, 0];
+
+    // How long to wait after the last keystroke before filtering, so fast typing doesn't stall the page.
+    const FILTER_DEBOUNCE_MS = 200;
+
+    // Every record carries a stable, random identifier in this field (it is not shown as a column).
+    // Permalinks on the public pages point at it, so the editor keeps it untouched when a record is edited.
+    const RECORD_ID_FIELD = 'id';
+
+    // The undo history keeps this many steps; older ones are forgotten.
+    const HISTORY_LIMIT = 200;
+
+    // A single step that changes or deletes more records than this asks for confirmation first.
+    const BULK_CONFIRM_THRESHOLD = 20;
+
+    // Every multi-line value in the data files uses Windows line endings. A <textarea> always turns them into '\n',
+    // so the record editor puts them back; a value that had Unix line endings keeps those.
+    const DEFAULT_LINE_ENDING = '\r\n';
+
+    // SheetJS, the same build the converter uses. Only the spreadsheet import needs it, so it is loaded then.
+    const SHEETJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+
+    // The duplicates report (section 14): two code values count as near-duplicates from this similarity (0-1) on.
+    // Words found in more records than DUPLICATE_COMMON_WORD_LIMIT ('dd', 'sys1', 'the') don't make two records
+    // candidates for the comparison, which keeps the report fast on thousands of records.
+    const DUPLICATE_SIMILARITY = 0.85;
+    const DUPLICATE_COMMON_WORD_LIMIT = 50;
+    // How many groups the report shows at once; "Show more" adds the next ones.
+    const DUPLICATE_GROUPS_SHOWN = 25;
+    // Groups marked "Not duplicates" are remembered in localStorage under this prefix plus the data file name.
+    const NOT_DUPLICATES_KEY_PREFIX = 'zosinfo-not-duplicates:';
+
+    // How many changed values the find and replace dialog (section 16) lists before applying; the count covers all of them.
+    const REPLACE_PREVIEW_LIMIT = 100;
+
+    // The results of the link checker (check-links.js) that flag a row (section 15): gone or failing, and moved.
+    const LINK_BROKEN_RESULTS = ['broken', 'error'];
+    const LINK_MOVED_RESULTS = ['redirected'];
+
+    // Unsaved work is autosaved in localStorage under this prefix plus the data file name, one draft per file.
+    const DRAFT_KEY_PREFIX = 'zosinfo-draft:';
+
+    // How long to wait after the last change before writing the draft, so a burst of edits is saved once.
+    const AUTOSAVE_DELAY_MS = 1000;
 
     // These variables manage the state of the editor and will be updated as the user interacts with the page.
+    let datasets = {}; // The datasets of datasets.json, by key (see loadDatasetManifest in datasets.js).
     let pageType;
     let config;
     let currentData;
     let columnHeaders;
     let isEditMode = false; // Tracks if the editor is in "edit" or "view" mode.
-    let selectedRowIndex = -1; // Tracks which row is currently selected for deletion.
+    let selectedRecords = new Set(); // The selected records (the objects, so a selection survives sorting and deletions).
+    let selectionAnchor = null; // The record a shift-click selects from: the last one clicked without shift.
+    let searchIndex = []; // Lowercase copies of every cell, aligned with `currentData` (see buildSearchIndex).
+    const renderedRecords = new WeakMap(); // Maps each rendered <tr> to the record object it shows.
+    let filteredIndices = []; // Indices into `currentData` of the rows that pass the filters, in display order.
+    let currentPage = 1; // The page of `filteredIndices` currently shown (1-based).
+    let pageSize = PAGE_SIZE_OPTIONS[1]; // How many rows are rendered per page (0 means all rows).
+    let sortKeys = []; // The active sort columns, most significant first: [{ header, direction: 'asc'|'desc' }].
+    let blockSaveOnErrors = true; // Whether the validation report refuses to save while there are errors.
+    let baselineData = []; // A deep copy of the records as they were loaded, used to review the changes.
+    let baselineIds = []; // The id of each baseline record (records without one were given one at load time).
+    let baseRevision = null; // The revision of the data file that `baselineData` came from (see section 11).
+    let savedData = []; // A deep copy of the records as they were last loaded, saved or downloaded (see hasUnsavedChanges).
+    let savedIds = []; // The id of each record of `savedData`.
+    let editHistory = []; // The undoable steps since the file was loaded or saved, oldest first (see section 8).
+    let historyPosition = 0; // How many steps of `editHistory` are applied; the ones after it can be redone.
+    let historyListOpen = false; // Whether the history list is expanded, so re-rendering keeps it as the user left it.
+    let draftTimerId = null; // The pending autosave, if any (see scheduleDraftSave).
+    let saveServer = null; // { user } when the page is served by server.js (see section 10), otherwise null.
+    let stripSequenceNumbers = false; // Whether JCL is shown without the sequence numbers in columns 73-80.
+    let linkReport = null; // The flagged addresses of the loaded link report: data file -> record id -> entries (see section 15).
+    let linkReportDate = null; // When the loaded link report was made.
+    let showOnlyLinkProblems = false; // Whether the table only shows the rows the link report flags.
+    let relatedDataCache = new Map(); // Dataset key -> promise of the records of another dataset, for the record editor's related records.
 
     // Get references to the main HTML elements.
     const pageSelector = document.getElementById('page-selector'); // The hidden <select> element.
     const tableHead = document.querySelector('#data-table thead'); // The table header.
     const tableBody = document.querySelector('#data-table tbody'); // The table body.
+    const paginationBar = document.getElementById('pagination-bar'); // The previous/next and page-size controls.
+    const validationDialog = document.getElementById('validation-dialog'); // The validation report shown before saving.
+    const reviewDialog = document.getElementById('review-dialog'); // The list of changes shown before downloading.
+    const historyPanel = document.getElementById('history-panel'); // The undo/redo buttons and the history list.
+    const draftDialog = document.getElementById('draft-dialog'); // The offer to restore an autosaved draft.
+    const mergeDialog = document.getElementById('merge-dialog'); // The conflicts between our edits and someone else's.
+    const recordDialog = document.getElementById('record-dialog'); // The form for editing one record.
+    const importDialog = document.getElementById('import-dialog'); // The spreadsheet import.
+    const duplicatesDialog = document.getElementById('duplicates-dialog'); // The duplicates report.
+    const replaceDialog = document.getElementById('replace-dialog'); // The find and replace dialog.
+    const stripSequenceInput = document.getElementById('strip-sequence-numbers'); // The "hide sequence numbers" checkbox.
 
     // =================================================================================
     // --- 4. TABLE RENDERING LOGIC ---
@@ -76,8 +180,9 @@ document.addEventListener('DOMContentLoaded', function() {
             const input = document.createElement('input');
             input.type = 'text';
             input.className = 'filter-input';
-            // The 'keyup' event triggers the filter function every time the user types.
-            input.addEventListener('keyup', filterTable); 
+            input.title = FILTER_SYNTAX_HELP;
+            // The 'input' event triggers the (debounced) filter function every time the user types or pastes.
+            input.addEventListener('input', debouncedFilterTable);
             cell.appendChild(input);
             filterRow.appendChild(cell);
         });
@@ -87,17 +192,25 @@ document.addEventListener('DOMContentLoaded', function() {
         columnHeaders.forEach(headerText => {
             // Create the actual header cell with the column title.
             const header = document.createElement('th');
+            header.className = 'sortable-header';
+            header.title = 'Click to sort. Shift-click to add a secondary sort column.';
             header.textContent = headerText;
+            // An empty span that shows the sort arrow for this column.
+            const indicator = document.createElement('span');
+            indicator.className = 'sort-indicator';
+            header.appendChild(indicator);
+            header.addEventListener('click', (event) => handleSortClick(headerText, event.shiftKey));
             headerRow.appendChild(header);
         });
         tableHead.appendChild(headerRow);
+        updateSortIndicators();
     }
 
     /**
      * Formats the content of a table cell.
      * This function intelligently decides how to display the cell's value.
      * - If it's a URL, it creates a clickable link.
-     * - If it looks like JCL, it formats it with preserved line breaks.
+     * - If it contains JCL, REXX or shell code, it shows every line with syntax highlighting.
      * - Otherwise, it's treated as plain text.
      * @param {string} cellValue The string value for the cell.
      */
@@ -115,60 +228,46 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
-        // Priority 2: Check for JCL-like content to format it nicely.
-        // We'll consider any multi-line text containing '//' as JCL-like.
-        if (value.includes('//') && value.includes('\n')) {
-            const lines = value.split(/[\r\n]+/);
-            const content = lines
-                .map(line => { // Process each line of the JCL-like text.
-                    // Per user request, ignore lines that start with '// '
-                    if (line.trim().startsWith('// ')) {
-                        return null;
-                    }
-                    return line;
-                })
-                .filter(line => line !== null)
-                .join('\n'); // Re-join the lines that were not filtered out.
-
-            // Use a <pre> tag to preserve line breaks and spacing.
-            const pre = document.createElement('pre'); 
-            pre.style.margin = '0';
-            pre.style.fontFamily = 'inherit';
-            pre.style.fontSize = 'inherit';
-            pre.style.whiteSpace = 'pre-wrap';
-            pre.style.wordWrap = 'break-word';
-            pre.textContent = content;
-            cell.appendChild(pre);
+        // Priority 2: Code (JCL, a REXX exec or a USS shell snippet) keeps all its lines and gets highlighted.
+        const language = detectCodeLanguage(value);
+        if (language) {
+            cell.appendChild(renderCodeBlock(value, language, { stripSequenceNumbers }));
             return;
         }
 
-        // Default: If it's not a URL or JCL, display as plain text.
+        // Default: If it's not a URL or code, display as plain text.
         cell.textContent = value;
     }
 
-    /** Renders the table body with data, applying special formatting in view mode. */
-    function renderTableBody(data) {
+    /**
+     * Renders the table body, applying special formatting in view mode.
+     * @param {Array<number>} rowIndices Indices into `currentData` of the rows to render, in display order.
+     */
+    function renderTableBody(rowIndices) {
         tableBody.innerHTML = '';
-        // Iterate over the provided data (which might be the full dataset or a filtered subset).
-        data.forEach((rowData) => {
-            // Find the original index of the row from the master `currentData` array.
-            // This is crucial for saving changes back to the correct object in the array.
-            const originalIndex = currentData.indexOf(rowData);
-            if (originalIndex === -1) return;
-
+        // Build the rows off-screen and attach them in one go to avoid repeated layout work.
+        const fragment = document.createDocumentFragment();
+        rowIndices.forEach((originalIndex) => {
+            const rowData = currentData[originalIndex];
             const row = document.createElement('tr');
+            // The index of the row in the master `currentData` array.
+            // This is crucial for saving changes back to the correct object in the array.
             row.dataset.originalIndex = originalIndex;
+            // Indices shift when rows are deleted, so the edits are written back through the record object itself.
+            renderedRecords.set(row, rowData);
+            if (selectedRecords.has(rowData)) {
+                row.classList.add('selected');
+            }
+            markLinkProblems(row, rowData);
 
-            // Add a click listener to each row to handle selection in edit mode.
-            row.addEventListener('click', () => {
-                if (isEditMode) {
-                    const previouslySelected = document.querySelector('tr.selected');
-                    if (previouslySelected) {
-                        previouslySelected.classList.remove('selected');
-                    }
-                    row.classList.add('selected');
-                    selectedRowIndex = originalIndex;
-                }
+            // Add a click listener to each row to handle selection in edit mode (shift/ctrl-click select several rows).
+            row.addEventListener('click', (event) => {
+                if (isEditMode) selectRow(rowData, event);
+            });
+            // Double-clicking a row opens it in the record editor, with the cursor in the clicked field.
+            row.addEventListener('dblclick', (event) => {
+                const cell = event.target.closest('td');
+                if (isEditMode) openRecordEditor(rowData, cell ? columnHeaders[cell.cellIndex] : undefined);
             });
 
             columnHeaders.forEach(header => {
@@ -186,44 +285,303 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
                 row.appendChild(cell);
             });
-            tableBody.appendChild(row);
+            fragment.appendChild(row);
+        });
+        tableBody.appendChild(fragment);
+    }
+    /** Renders the rows of the current page and refreshes the pagination controls. */
+    function renderCurrentPage() {
+        // Keep any edits typed into the page that is about to be replaced.
+        commitVisibleEdits();
+        const pageCount = getPageCount();
+        currentPage = Math.min(Math.max(currentPage, 1), pageCount);
+        const start = pageSize === 0 ? 0 : (currentPage - 1) * pageSize;
+        const end = pageSize === 0 ? filteredIndices.length : start + pageSize;
+        renderTableBody(filteredIndices.slice(start, end));
+        renderPaginationControls(start, Math.min(end, filteredIndices.length));
+    }
+
+    /** Returns how many pages the filtered rows span (always at least 1). */
+    function getPageCount() {
+        if (pageSize === 0) return 1;
+        return Math.max(1, Math.ceil(filteredIndices.length / pageSize));
+    }
+
+    /**
+     * Builds the pagination bar below the table: previous/next buttons, a row counter and the page-size selector.
+     * @param {number} start The position in `filteredIndices` of the first rendered row.
+     * @param {number} end The position just after the last rendered row.
+     */
+    function renderPaginationControls(start, end) {
+        if (!paginationBar) return;
+        paginationBar.innerHTML = '';
+
+        const previousButton = document.createElement('button');
+        previousButton.textContent = '< Prev';
+        previousButton.disabled = currentPage <= 1;
+        previousButton.addEventListener('click', () => goToPage(currentPage - 1));
+
+        const nextButton = document.createElement('button');
+        nextButton.textContent = 'Next >';
+        nextButton.disabled = currentPage >= getPageCount();
+        nextButton.addEventListener('click', () => goToPage(currentPage + 1));
+
+        const status = document.createElement('span');
+        status.className = 'pagination-status';
+        status.textContent = filteredIndices.length === 0
+            ? 'No matching rows'
+            : `Rows ${start + 1}-${end} of ${filteredIndices.length} (page ${currentPage} of ${getPageCount()})`;
+
+        const sizeLabel = document.createElement('label');
+        sizeLabel.textContent = 'Rows per page: ';
+        const sizeSelect = document.createElement('select');
+        PAGE_SIZE_OPTIONS.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = size === 0 ? 'All' : size;
+            option.selected = size === pageSize;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.addEventListener('change', () => {
+            pageSize = parseInt(sizeSelect.value, 10);
+            goToPage(1);
         });
+        sizeLabel.appendChild(sizeSelect);
+
+        paginationBar.append(previousButton, status, nextButton, sizeLabel);
+    }
+
+    /** Shows the given page of the filtered rows and scrolls back to the top of the table. */
+    function goToPage(page) {
+        currentPage = page;
+        renderCurrentPage();
+        tableHead.scrollIntoView({ block: 'start' });
     }
 
+
     // =================================================================================
     // --- 5. CORE EDITOR FUNCTIONALITY ---
     // =================================================================================
 
-    /** Filters the table data based on user input. */
-    function filterTable() {
+    /**
+     * Reads every `.filter-input`, parses it and gives inline feedback on invalid expressions.
+     * An invalid filter is ignored (it matches every row) until the user fixes it.
+     * @returns {Array<Array<Object>>} The parsed clauses for each column, in column order.
+     */
+    function readColumnFilters() {
         const filterInputs = document.querySelectorAll('.filter-input');
-        const filterValues = Array.from(filterInputs).map(input => input.value.toLowerCase());
+        return Array.from(filterInputs).map(input => {
+            const { clauses, error } = parseFilterExpression(input.value);
+            input.classList.toggle('filter-invalid', error !== null);
+            input.title = error ? `Invalid filter: ${error}` : FILTER_SYNTAX_HELP;
+            return clauses;
+        });
+    }
+
+    /**
+     * Builds lowercase copies of every cell so filtering doesn't lowercase ~1,900 long
+     * 'info' values on every keystroke. Entry `i` belongs to `currentData[i]`, so the index
+     * must be rebuilt whenever rows are added or removed.
+     * @returns {Array<Array<string>>} The index, one array of lowercase values (in header order) per row.
+     */
+    function buildSearchIndex() {
+        return currentData.map(row => columnHeaders.map(header => toLowerCellText(row[header])));
+    }
+
+    /** Converts a raw cell value to the lowercase text stored in the search index. */
+    function toLowerCellText(value) {
+        return String(value === undefined || value === null ? '' : value).toLowerCase();
+    }
+
+    /**
+     * Copies the text of the editable cells on the current page back into `currentData`.
+     * Only one page of rows is in the DOM, so this must run before that page is replaced
+     * (changing page, filtering, adding or deleting rows and saving).
+     */
+    function commitVisibleEdits() {
+        if (!isEditMode) return;
+        const changes = [];
+        tableBody.querySelectorAll('tr').forEach(row => {
+            const rowData = renderedRecords.get(row);
+            if (!rowData) return;
+
+            row.querySelectorAll('td').forEach((cell, cellIndex) => {
+                // Cells rendered in view mode hold formatted text (e.g. reflowed JCL), never read those back.
+                if (cell.contentEditable !== 'true') return;
+                const header = columnHeaders[cellIndex];
+                const newValue = cell.textContent.trim();
+                const oldValue = String(rowData[header] === undefined || rowData[header] === null ? '' : rowData[header]);
+                // Only touch values that were actually edited, so untouched cells keep their exact content.
+                if (newValue !== oldValue.trim()) {
+                    const change = { type: 'field', record: rowData, key: header, after: newValue };
+                    applyChange(change, 'redo');
+                    changes.push(change);
+                    // The record may have been deleted since the page was rendered; then there is no index entry to update.
+                    const currentIndex = currentData.indexOf(rowData);
+                    if (currentIndex > -1) searchIndex[currentIndex][cellIndex] = toLowerCellText(newValue);
+                }
+            });
+        });
+        // The typed values are already in place, so the step is only recorded, not applied again.
+        if (changes.length === 1) {
+            pushHistory({ label: `Edit '${changes[0].key}' of '${describeRecord(changes[0].record)}'`, changes });
+        } else if (changes.length > 1) {
+            pushHistory({ label: `Edit ${changes.length} cells`, changes });
+        }
+    }
+
+    /** Recomputes `filteredIndices` from the column filters, without rendering. */
+    function applyFilters() {
+        const columnFilters = readColumnFilters();
 
-        // Filter the master `currentData` array.
-        const filteredData = currentData.filter(row => {
+        // Filter the master `currentData` array, working with row indices so every row keeps its identity.
+        filteredIndices = [];
+        currentData.forEach((row, rowIndex) => {
+            if (showOnlyLinkProblems && getLinkProblems(row).length === 0) return;
             // A row is included only if it matches the filter text in *every* column.
-            return filterValues.every((filterValue, index) => {
+            const matches = columnFilters.every((clauses, index) => {
+                if (clauses.length === 0) return true;
                 const header = columnHeaders[index];
-                const cellValue = String(row[header]).toLowerCase();
-                return cellValue.includes(filterValue); // Check if the cell text contains the filter text.
+                return matchesFilterExpression(clauses, row[header], searchIndex[rowIndex][index]);
             });
+            if (matches) filteredIndices.push(rowIndex);
+        });
+        filteredIndices = sortRowIndices(currentData, filteredIndices, sortKeys);
+    }
+
+    /** Filters the table data based on user input. */
+    function filterTable() {
+        commitVisibleEdits();
+        applyFilters();
+        currentPage = 1; // A new set of results always starts on the first page.
+        renderCurrentPage();
+    }
+
+    /**
+     * Redraws the table after the records were changed outside the cells (a fix, an undo, a merge, an import...):
+     * the search index is rebuilt and the filters and sort order are applied again, so rows that no longer
+     * match leave the view and changed values sort into place. The current page is kept where it still exists.
+     */
+    function refreshAfterDataChange() {
+        // The page on screen still shows the old values; drop it so they aren't committed back over the change.
+        tableBody.innerHTML = '';
+        searchIndex = buildSearchIndex();
+        applyFilters();
+        renderCurrentPage();
+    }
+
+    /**
+     * Handles a click on a column header.
+     * - A plain click sorts by that column alone, cycling ascending -> descending -> file order.
+     * - A shift-click adds the column as an extra (secondary, tertiary...) sort key, or flips its direction.
+     * @param {string} header The column that was clicked.
+     * @param {boolean} addKey True if the shift key was held down.
+     */
+    function handleSortClick(header, addKey) {
+        const existing = sortKeys.find(key => key.header === header);
+        if (addKey) {
+            if (existing) {
+                existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                sortKeys.push({ header, direction: 'asc' });
+            }
+        } else if (existing && sortKeys.length === 1) {
+            sortKeys = existing.direction === 'asc' ? [{ header, direction: 'desc' }] : [];
+        } else {
+            sortKeys = [{ header, direction: 'asc' }];
+        }
+        updateSortIndicators();
+        filterTable();
+    }
+
+    /** Shows an arrow (and the key's position when sorting by several columns) on each sorted header. */
+    function updateSortIndicators() {
+        tableHead.querySelectorAll('th').forEach((th, index) => {
+            const header = columnHeaders[index];
+            const keyIndex = sortKeys.findIndex(key => key.header === header);
+            const indicator = th.querySelector('.sort-indicator');
+            if (keyIndex === -1) {
+                indicator.textContent = '';
+                return;
+            }
+            const arrow = sortKeys[keyIndex].direction === 'asc' ? '▲' : '▼';
+            indicator.textContent = sortKeys.length > 1 ? ` ${arrow}${keyIndex + 1}` : ` ${arrow}`;
         });
+    }
+
+    /**
+     * Creates a version of `func` that only runs once the calls have stopped for `delay` milliseconds.
+     * @param {Function} func The function to delay.
+     * @param {number} delay The quiet period in milliseconds.
+     * @returns {Function} The debounced function.
+     */
+    function debounce(func, delay) {
+        let timerId = null;
+        return function(...args) {
+            clearTimeout(timerId);
+            timerId = setTimeout(() => func.apply(this, args), delay);
+        };
+    }
+
+    // Filtering is triggered while typing, so it waits for a short pause in the keystrokes.
+    const debouncedFilterTable = debounce(filterTable, FILTER_DEBOUNCE_MS);
+
+
+    /**
+     * Generates a new random record identifier, e.g. 'k3f9a2xq'.
+     * Random rather than sequential so records added by two editors on the same day never collide.
+     * @returns {string} An identifier not used by any record in `currentData`.
+     */
+    function generateRecordId() {
+        const usedIds = new Set(currentData.map(row => row[RECORD_ID_FIELD]));
+        let id;
+        do {
+            const bytes = crypto.getRandomValues(new Uint8Array(8));
+            id = Array.from(bytes, byte => (byte % 36).toString(36)).join('');
+        } while (usedIds.has(id));
+        return id;
+    }
+
+    /**
+     * Gives an identifier to every record that doesn't have one yet (for example data pasted in
+     * from the converter). The identifier is put first so it reads well in the JSON file.
+     */
+    function assignMissingRecordIds() {
+        currentData.forEach((row, index) => {
+            if (!row[RECORD_ID_FIELD]) {
+                currentData[index] = { [RECORD_ID_FIELD]: generateRecordId(), ...row };
+            }
+        });
+    }
 
-        renderTableBody(filteredData);
+    /** Switches to edit mode and re-renders the page with editable, unformatted cells. */
+    function enableEditMode() {
+        isEditMode = true;
+        renderCurrentPage();
+        renderHistoryPanel();
+        tableBody.style.border = '2px solid #007bff';
+        const saveHint = saveServer ? `Press Esc to save to the server (as ${saveServer.user}) and exit.` : 'Press Esc to save and exit.';
+        alert(`Edit mode enabled. Click a row to select it (shift-click or ctrl-click to select several).\n\n- Press F6 to add a new row.\n- Press F7 to delete the selected rows.\n- Use "Find and replace..." to change many values at once.\n- Double-click a row or press Enter in a cell to edit the whole record.\n- Press Ctrl+Z to undo and Ctrl+Shift+Z to redo.\n- ${saveHint}`);
     }
 
     /** Handles F6 key press for entering edit mode or adding rows. */
     function handleF6() {
-        // If not currently in edit mode, prompt for the password.
+        // An open dialog (e.g. the draft offer shown after loading) must be answered first.
+        if (isDialogOpen()) return;
+        // If not currently in edit mode, log in to the save server or prompt for the password.
         if (!isEditMode) {
+            if (saveServer) {
+                // A session from earlier in the day is reused without asking again.
+                if (saveServer.user) {
+                    enableEditMode();
+                } else {
+                    loginToSaveServer().then(loggedIn => { if (loggedIn) enableEditMode(); });
+                }
+                return;
+            }
             const password = prompt('Please enter the password to edit:');
             if (password === EDIT_PASSWORD) {
-                // If password is correct, enable editing on all cells and set the mode.
-                const cells = tableBody.querySelectorAll('td');
-                cells.forEach(cell => { cell.contentEditable = 'true'; });
-                tableBody.style.border = '2px solid #007bff';
-                isEditMode = true;
-                alert('Edit mode enabled. Click a row to select it.\n\n- Press F6 to add a new row.\n- Press F7 to delete the selected row.\n- Press Esc to save and exit.');
+                enableEditMode();
             } else if (password !== null) {
                 // If password was entered but is incorrect.
                 alert('Incorrect password.');
@@ -237,176 +595,3303 @@ document.addEventListener('DOMContentLoaded', function() {
                 alert("Please enter a valid number greater than 0.");
                 return;
             }
-            // Create new empty row objects and add them to the master data array.
+            commitVisibleEdits();
+            // Create new empty row objects and add them to the end of the master data array.
+            const changes = [];
             for (let i = 0; i < numRows; i++) {
-                const newRow = {};
+                const newRow = { [RECORD_ID_FIELD]: generateRecordId() };
                 columnHeaders.forEach(header => newRow[header] = '');
-                currentData.push(newRow);
+                changes.push({ type: 'insert', record: newRow, index: currentData.length + i });
             }
-            renderTableBody(currentData);
+            performEdit(`Add ${numRows} row(s)`, changes);
+            searchIndex = buildSearchIndex();
+
+            // Clear the filters (the new rows are empty, so they would not match) and show the last page.
+            document.querySelectorAll('.filter-input').forEach(input => { input.value = ''; });
+            applyFilters();
+            goToPage(getPageCount());
         }
     }
 
-    /** Handles Escape key press to save changes and exit edit mode. */
+    /**
+     * Handles Escape key press to save changes and exit edit mode.
+     * The data is validated first; if there are problems, the report is shown and saving waits for the user.
+     */
     function handleEscape() {
         if (!isEditMode) return;
+        // Escape closes the validation report, the change review, the merge dialog, the record editor, the import, the
+        // duplicates report or the find and replace if one is open, without saving.
+        if (!validationDialog.hidden) {
+            closeValidationReport();
+            return;
+        }
+        if (!reviewDialog.hidden) {
+            closeChangeReview();
+            return;
+        }
+        if (!mergeDialog.hidden) {
+            closeMergeDialog();
+            return;
+        }
+        if (!recordDialog.hidden) {
+            closeRecordEditor();
+            return;
+        }
+        if (!importDialog.hidden) {
+            closeImportDialog();
+            return;
+        }
+        if (!duplicatesDialog.hidden) {
+            closeDuplicatesReport();
+            return;
+        }
+        if (!replaceDialog.hidden) {
+            closeReplaceDialog();
+            return;
+        }
+
+        // Copy the edits on the visible page into `currentData`; other pages were committed when they were left.
+        commitVisibleEdits();
+
+        const issues = validateData();
+        if (issues.length > 0) {
+            showValidationReport(issues);
+            return;
+        }
+        showChangeReview();
+    }
+
+    /**
+     * Drops empty rows, saves the updated data file and returns to view mode.
+     * The file is written through server.js when it serves the page, otherwise it is downloaded.
+     * @param {{includePatch: boolean}} [options] Set `includePatch` to also download the changes as a JSON Patch.
+     */
+    async function finishSave(options = {}) {
+        // The patch describes the changes since loading, so it is built before the baseline is reset below.
+        const patch = options.includePatch ? buildJsonPatch() : null;
+
+        // Create the final, updated data array, filtering out any rows that are completely empty.
+        const updatedData = currentData.filter(row => !isEmptyRow(row));
+
+        // Save through the server if there is one; if that fails, fall back to the download.
+        const saved = saveServer ? await saveDataToServer(config.dataFile, updatedData) : null;
+        if (saved && saved.conflict) {
+            // Someone saved between our check and our write: merge again. Nothing has been changed here yet.
+            alert('The file was changed on the server while saving. Your changes will be merged with the new version first.');
+            saveChanges(options);
+            return;
+        }
 
         // Disable editing on all cells and remove the visual border.
         const cells = tableBody.querySelectorAll('td');
         cells.forEach(cell => cell.contentEditable = 'false');
         tableBody.style.border = 'none';
 
-        // Create a map to hold the updated data by reading directly from the HTML table (the DOM).
-        // This is simpler than tracking every single change event.
-        const domChanges = new Map();
-        tableBody.querySelectorAll('tr').forEach(row => {
-            if (row.dataset.originalIndex) {
-                const originalIndex = parseInt(row.dataset.originalIndex, 10);
-                const newRowData = {};
-                const rowCells = row.querySelectorAll('td');
-                // For each cell in the row, get its text content and assign it to the correct property.
-                rowCells.forEach((cell, cellIndex) => {
-                    const header = columnHeaders[cellIndex];
-                    newRowData[header] = cell.textContent.trim();
-                });
-                domChanges.set(originalIndex, newRowData); // Store the updated row data in the map.
-            }
-        });
-
-        // Create the final, updated data array.
-        const updatedData = currentData
-            .map((originalRow, index) => {
-                // If a row's index exists in our `domChanges` map, use the updated version. Otherwise, keep the original.
-                return domChanges.has(index) ? domChanges.get(index) : originalRow;
-            })
-            .filter(row => {
-                // Filter out any rows that are completely empty.
-                return !columnHeaders.every(header => (row[header] || '').trim() === '');
-            });
-
         currentData.splice(0, currentData.length, ...updatedData);
+        searchIndex = buildSearchIndex();
+        clearSelection();
 
-        function downloadDataAsFile(data) {
-            const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' }); // Create a Blob object from the JSON string.
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = config.dataFile; // Set the default filename for the download.
-            document.body.appendChild(a);
-            a.click(); // Programmatically click the link to trigger the download.
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            alert(`Your data has been prepared for download. Please save the new '${a.download}' file, replacing the old one in your project folder.`);
+        // Otherwise trigger the download process.
+        if (!saved) downloadJsonFile(currentData, config.dataFile);
+        const patchFile = config.dataFile.replace(/\.json$/, '.patch.json');
+        if (patch) downloadJsonFile(patch, patchFile);
+        const patchNote = patch ? ` The changes alone are in '${patchFile}'.` : '';
+        if (saved) {
+            const backupNote = saved.backup ? ` The previous version was kept as '${saved.backup}'.` : '';
+            alert(`Saved ${saved.records} records to '${config.dataFile}' on the server.${backupNote}${patchNote}`);
+        } else {
+            alert(`Your data has been prepared for download. Please save the new '${config.dataFile}' file, replacing the old one in your project folder.${patchNote}`);
         }
 
-        // Trigger the download process.
-        downloadDataAsFile(currentData);
+        // A file saved on the server is the new starting point for the next review and merge. A downloaded file
+        // isn't on the website until it is uploaded, so the file as loaded stays the base: saving again before
+        // the upload must not mistake the old hosted file for someone else's changes.
+        if (saved) {
+            baselineData = cloneRecords(currentData);
+            baselineIds = currentData.map(row => row[RECORD_ID_FIELD]);
+            baseRevision = saved.revision;
+        }
+        savedData = cloneRecords(currentData);
+        savedIds = currentData.map(row => row[RECORD_ID_FIELD]);
+        // Empty rows were dropped outside the history above, so the saved file also starts a new history.
+        clearHistory();
+        removeDraft();
 
         // Reset the state back to view mode and re-render the table.
         isEditMode = false;
+        showOnlyLinkProblems = false; // Its checkbox is in the edit-mode toolbar, so it can't stay on unseen.
+        renderHistoryPanel();
         filterTable();
     }
 
-    /** Handles F7 key press to delete the selected row. */
+    /** Handles F7 key press to delete the selected rows. */
     function handleF7() {
-        if (!isEditMode) return;
+        if (!isEditMode || isDialogOpen()) return;
         // Check if a row has been selected by clicking on it.
-        if (selectedRowIndex > -1) {
-            currentData.splice(selectedRowIndex, 1);
-            // Reset selection and re-render the table to show the deletion.
-            selectedRowIndex = -1;
-            filterTable();
+        if (selectedRecords.size > 0) {
+            // Save the visible edits first: the indices of every later row shift after the deletion.
+            commitVisibleEdits();
+            // In file order, so undoing puts every record back where it was.
+            const records = currentData.filter(record => selectedRecords.has(record));
+            const label = records.length === 1 ? `Delete '${describeRecord(records[0])}'` : `Delete ${records.length} rows`;
+            if (!performEdit(label, records.map(record => ({ type: 'remove', record })))) return;
+            // Reset selection and re-render the table to show the deletion, staying on the same page.
+            clearSelection();
+            refreshAfterDataChange();
         } else {
-            alert('No row selected. Click a row to select it for deletion.');
+            alert('No row selected. Click a row to select it for deletion (shift-click or ctrl-click to select several).');
         }
     }
 
-    // =================================================================================
-    // --- 6. INITIALIZATION AND EVENT LISTENERS ---
-    // =================================================================================
+    /**
+     * Selects rows like a file list does:
+     *   - a click selects just that row;
+     *   - ctrl-click (cmd-click on a Mac) adds the row to the selection, or takes it out;
+     *   - shift-click selects every row from the last clicked one to this one, in the order shown (across pages);
+     *     with ctrl as well, those rows are added to the selection.
+     * @param {Object} record The record of the clicked row.
+     * @param {MouseEvent} event The click.
+     */
+    function selectRow(record, event) {
+        const additive = event.ctrlKey || event.metaKey;
+        if (event.shiftKey && selectionAnchor && currentData.includes(selectionAnchor)) {
+            const shown = filteredIndices.map(index => currentData[index]);
+            const from = shown.indexOf(selectionAnchor);
+            const to = shown.indexOf(record);
+            if (!additive) selectedRecords.clear();
+            // The anchor may have been filtered out since; then only the clicked row is selected.
+            const start = from === -1 ? to : Math.min(from, to);
+            const end = from === -1 ? to : Math.max(from, to);
+            shown.slice(start, end + 1).forEach(shownRecord => selectedRecords.add(shownRecord));
+        } else if (additive) {
+            if (selectedRecords.has(record)) selectedRecords.delete(record);
+            else selectedRecords.add(record);
+            selectionAnchor = record;
+        } else {
+            selectedRecords = new Set([record]);
+            selectionAnchor = record;
+        }
+        updateSelectionDisplay();
+    }
 
-    /** Main function to load data and render the table based on dropdown selection. */
-    async function initializePage() {
-        const selectedPage = pageSelector.value;
-        pageType = selectedPage.includes('linkedin.html') ? 'linkedin' : 'home';
-        config = pageConfigs[pageType];
+    /** Selects every row that passes the current filters, on every page. */
+    function selectAllFilteredRows() {
+        selectedRecords = new Set(filteredIndices.map(index => currentData[index]));
+        selectionAnchor = null;
+        updateSelectionDisplay();
+    }
 
-        // Load the data and set the global state for the selected page.
-        currentData = await loadDataFromFile(config.dataFile);
-        columnHeaders = config.headers;
+    /** Empties the selection, e.g. after the records have been rebuilt by an undo or a reload. */
+    function clearSelection() {
+        selectedRecords = new Set();
+        selectionAnchor = null;
+        updateSelectionDisplay();
+    }
 
-        isEditMode = false;
-        selectedRowIndex = -1;
+    /** Marks the selected rows of the current page and shows the size of the selection in the toolbar. */
+    function updateSelectionDisplay() {
+        tableBody.querySelectorAll('tr').forEach(row => {
+            row.classList.toggle('selected', selectedRecords.has(renderedRecords.get(row)));
+        });
+        const status = historyPanel.querySelector('.selection-status');
+        if (status) status.textContent = `${selectedRecords.size} selected`;
+        const clearButton = historyPanel.querySelector('.clear-selection');
+        if (clearButton) clearButton.disabled = selectedRecords.size === 0;
+    }
 
-        // Render the table with the new data.
-        renderTableHeaders();
-        renderTableBody(currentData);
+    // =================================================================================
+    // --- 6. VALIDATION BEFORE SAVING ---
+    // The rules for each dataset come from the column types and required flags in datasets.json (see buildDatasetConfig in datasets.js);
+    // the checks themselves (checkRecordValues, findSpellingVariants) are in datasets.js, shared with the converter.
+    // =================================================================================
+
+    /** Returns true if every column of a row is empty (such rows are dropped when saving). */
+    function isEmptyRow(row) {
+        return columnHeaders.every(header => String(row[header] || '').trim() === '');
     }
 
-    // --- Dropdown Menu Logic ---
-    const dropdownButton = document.getElementById('dropdown-button');
-    const dropdownContent = document.getElementById('dropdown-content');
+    /** Calculates the Levenshtein (edit) distance between two short strings, used to guess where an unknown key belongs. */
+    function levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
 
-    if (dropdownButton) {
-        // When the three-dots button is clicked, toggle the 'show' class on the menu content.
-        dropdownButton.addEventListener('click', () => {
-            dropdownContent.classList.toggle('show');
+    /**
+     * Checks `currentData` against the validation rules of the current dataset.
+     * Problems are grouped (e.g. all 75 'IBM' vendors form one issue) so one click can fix them all.
+     * Every issue has the shape:
+     *   { severity: 'error'|'warning', message: string, rows: Array<number>, fix: Object|null }
+     * where `fix` is { kind: 'move-key', key } or { kind: 'canonicalize', header, to }.
+     * @returns {Array<Object>} The issues found, errors first.
+     */
+    function validateData() {
+        const rules = config.validation || {};
+        const issues = [];
+        const rowsToCheck = [];
+        currentData.forEach((row, index) => {
+            if (!isEmptyRow(row)) rowsToCheck.push(index);
         });
 
-        // Add a global click listener to close the dropdown if the user clicks anywhere else on the page.
-        window.addEventListener('click', (event) => {
-            if (!dropdownButton.contains(event.target)) {
-                if (dropdownContent.classList.contains('show')) {
-                    dropdownContent.classList.remove('show');
-                }
-            }
+        // 1. Keys that are not a column of this dataset (e.g. a 'VendCor' typo), so their value never shows.
+        const unknownKeys = new Map();
+        rowsToCheck.forEach(index => {
+            Object.keys(currentData[index]).forEach(key => {
+                if (key === RECORD_ID_FIELD || key === RELATED_FIELD || columnHeaders.includes(key)) return;
+                if (!unknownKeys.has(key)) unknownKeys.set(key, []);
+                unknownKeys.get(key).push(index);
+            });
+        });
+        unknownKeys.forEach((rows, key) => {
+            issues.push({
+                severity: 'error',
+                message: `Unknown field '${key}' in ${rows.length} record(s); its value is not shown on the website.`,
+                rows,
+                fix: { kind: 'move-key', key }
+            });
         });
 
-        // Handle clicks on the dropdown menu items to change the data source.
-        dropdownContent.addEventListener('click', (event) => {
-            if (event.target.tagName === 'A' && event.target.dataset.value) {
-                event.preventDefault(); // Prevent navigation
-                pageSelector.value = event.target.dataset.value;
-                // Manually trigger the 'change' event on the hidden select to run initializePage
-                pageSelector.dispatchEvent(new Event('change'));
-                dropdownContent.classList.remove('show'); // Hide dropdown after selection
+        // 2-4. Required columns that are empty, and columns that must hold a web address or a number;
+        // one issue per column and kind of problem.
+        const messages = {
+            required: (count, header) => `${count} record(s) have an empty '${header}'.`,
+            url: (count, header) => `${count} record(s) have an invalid URL in '${header}'.`,
+            number: (count, header) => `${count} record(s) have a value in '${header}' that is not a number.`
+        };
+        const valueProblems = new Map(); // 'rule|header' -> { rule, header, rows }, in the order of the rules
+        [['required', rules.required], ['url', rules.urlFields], ['number', rules.numberFields]].forEach(([rule, headers]) => {
+            (headers || []).forEach(header => valueProblems.set(`${rule}|${header}`, { rule, header, rows: [] }));
+        });
+        rowsToCheck.forEach(index => {
+            checkRecordValues(currentData[index], rules).forEach(({ rule, field }) => {
+                valueProblems.get(`${rule}|${field}`).rows.push(index);
+            });
+        });
+        valueProblems.forEach(({ rule, header, rows }) => {
+            if (rows.length > 0) issues.push({ severity: 'error', message: messages[rule](rows.length, header), rows, fix: null });
+        });
+
+        // 5. Case, whitespace and synonym variants of the same value (e.g. 'ibm', 'ibm ', 'IBM', or 'command' vs 'commands').
+        const recordsToCheck = rowsToCheck.map(index => currentData[index]);
+        (rules.variantFields || []).forEach(header => {
+            findSpellingVariants(recordsToCheck, header, rules).forEach(({ canonical, variants }) => {
+                const rows = variants.flatMap(variant => variant.indices.map(i => rowsToCheck[i]));
+                const description = variants.map(variant => `'${variant.spelling}' (${variant.indices.length})`).join(', ');
+                issues.push({
+                    severity: 'warning',
+                    message: `${header}: ${description} should be '${canonical}'.`,
+                    rows,
+                    fix: { kind: 'canonicalize', header, to: canonical }
+                });
+            });
+        });
+
+        return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    }
+
+    /**
+     * Works out the history changes (see section 8) that make up the one-click fix of an issue.
+     * @param {Object} issue The issue, as produced by `validateData`.
+     * @param {string} [targetHeader] For 'move-key' fixes: the column that receives the value ('' deletes the key).
+     * @returns {Array<Object>} The changes, not yet applied.
+     */
+    function buildValidationFixChanges(issue, targetHeader) {
+        const changes = [];
+        issue.rows.forEach(index => {
+            const row = currentData[index];
+            if (issue.fix.kind === 'canonicalize') {
+                changes.push({ type: 'field', record: row, key: issue.fix.header, after: issue.fix.to });
+            } else if (issue.fix.kind === 'move-key') {
+                // Never overwrite a value that is already there; such records are left for a manual fix.
+                if (targetHeader && String(row[targetHeader] || '').trim() !== '') return;
+                if (targetHeader) changes.push({ type: 'field', record: row, key: targetHeader, after: row[issue.fix.key] });
+                changes.push({ type: 'field', record: row, key: issue.fix.key, after: undefined });
             }
         });
+        return changes;
     }
 
-    // Listen for changes on the hidden <select> element to trigger a page reload.
-    pageSelector.addEventListener('change', initializePage);
+    /**
+     * Applies fixes to `currentData` as one undoable step and redraws the page.
+     * @param {string} label The name of the step in the history list.
+     * @param {Array<Object>} changes The changes from `buildValidationFixChanges`.
+     */
+    function applyValidationFixes(label, changes) {
+        if (!performEdit(label, changes)) return;
+        refreshAfterDataChange();
+    }
 
-    // Add custom Tab key navigation for a spreadsheet-like editing experience.
-    tableBody.addEventListener('keydown', function(event) {
-        if (event.key !== 'Tab' || !isEditMode) return;
-        event.preventDefault(); // Prevent the default tab behavior (moving to the next browser element).
-        const activeCell = document.activeElement;
-        if (!activeCell || activeCell.tagName !== 'TD') return;
+    /** Guesses which column an unknown key was meant to be, e.g. 'VendCor' -> 'Vendor'. */
+    function guessHeaderForKey(key) {
+        return columnHeaders
+            .map(header => ({ header, distance: levenshtein(key.toLowerCase(), header.toLowerCase()) }))
+            .sort((a, b) => a.distance - b.distance)[0].header;
+    }
 
-        // Get all editable cells and figure out the next one to focus on.
-        const allCells = Array.from(tableBody.querySelectorAll('td'));
-        const currentIndex = allCells.indexOf(activeCell);
-        const nextIndex = event.shiftKey ? currentIndex - 1 : currentIndex + 1;
+    /**
+     * Shows the validation report in a dialog, with a fix button for each fixable issue.
+     * @param {Array<Object>} issues The issues from `validateData`.
+     */
+    function showValidationReport(issues) {
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        validationDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
 
-        // If the next cell exists, focus it.
-        if (nextIndex >= 0 && nextIndex < allCells.length) {
-            allCells[nextIndex].focus();
-        }
-    });
+        const title = document.createElement('h2');
+        title.textContent = `Validation report for ${config.dataFile}`;
+        const summary = document.createElement('p');
+        summary.textContent = `${errorCount} error(s) and ${issues.length - errorCount} warning(s) found.`;
+        box.append(title, summary);
 
-    // Add a global keyboard event listener for function keys.
-    document.addEventListener('keydown', function(event) {
-        switch (event.key) {
-            case 'F6':
-                event.preventDefault();
-                handleF6();
-                break;
-            case 'Escape':
-                event.preventDefault();
-                handleEscape();
-                break;
+        const list = document.createElement('ul');
+        list.className = 'validation-issues';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `validation-${issue.severity}`;
+            const message = document.createElement('span');
+            message.textContent = `${issue.severity.toUpperCase()}: ${issue.message}`;
+            item.appendChild(message);
+
+            if (issue.fix && issue.fix.kind === 'move-key') {
+                // Let the user pick the column the unknown key should have been, pre-selecting the closest match.
+                const select = document.createElement('select');
+                columnHeaders.forEach(header => select.add(new Option(`Move to '${header}'`, header)));
+                select.add(new Option('Delete the field', ''));
+                select.value = guessHeaderForKey(issue.fix.key);
+                const fixButton = document.createElement('button');
+                fixButton.textContent = 'Fix';
+                fixButton.addEventListener('click', () => {
+                    applyValidationFixes(`Fix: ${issue.message}`, buildValidationFixChanges(issue, select.value));
+                    refreshValidationReport();
+                });
+                item.append(select, fixButton);
+            } else if (issue.fix) {
+                const fixButton = document.createElement('button');
+                fixButton.textContent = 'Fix';
+                fixButton.addEventListener('click', () => {
+                    applyValidationFixes(`Fix: ${issue.message}`, buildValidationFixChanges(issue));
+                    refreshValidationReport();
+                });
+                item.appendChild(fixButton);
+            }
+
+            const showButton = document.createElement('button');
+            showButton.textContent = 'Show';
+            showButton.title = 'Close this report and list the affected records in the table';
+            showButton.addEventListener('click', () => {
+                closeValidationReport();
+                showRowsInTable(issue.rows);
+            });
+            item.appendChild(showButton);
+            list.appendChild(item);
+        });
+        box.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const fixAllButton = document.createElement('button');
+        fixAllButton.textContent = 'Fix all warnings';
+        fixAllButton.disabled = !issues.some(issue => issue.fix && issue.fix.kind === 'canonicalize');
+        fixAllButton.addEventListener('click', () => {
+            const changes = issues
+                .filter(issue => issue.fix && issue.fix.kind === 'canonicalize')
+                .flatMap(issue => buildValidationFixChanges(issue));
+            applyValidationFixes('Fix all warnings', changes);
+            refreshValidationReport();
+        });
+
+        const blockLabel = document.createElement('label');
+        const blockCheckbox = document.createElement('input');
+        blockCheckbox.type = 'checkbox';
+        blockCheckbox.checked = blockSaveOnErrors;
+        blockLabel.append(blockCheckbox, ' Block saving while there are errors');
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = errorCount > 0 ? 'Save anyway' : 'Save';
+        const updateSaveButton = () => { saveButton.disabled = blockCheckbox.checked && errorCount > 0; };
+        blockCheckbox.addEventListener('change', () => {
+            blockSaveOnErrors = blockCheckbox.checked;
+            updateSaveButton();
+        });
+        updateSaveButton();
+        saveButton.addEventListener('click', () => {
+            closeValidationReport();
+            showChangeReview();
+        });
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Keep editing';
+        cancelButton.addEventListener('click', closeValidationReport);
+
+        actions.append(fixAllButton, blockLabel, saveButton, cancelButton);
+        box.appendChild(actions);
+        validationDialog.appendChild(box);
+        validationDialog.hidden = false;
+    }
+
+    /** Re-runs the validation after a fix and either refreshes the report or, if all is well, moves on to the change review. */
+    function refreshValidationReport() {
+        const issues = validateData();
+        if (issues.length === 0) {
+            closeValidationReport();
+            showChangeReview();
+            return;
+        }
+        showValidationReport(issues);
+    }
+
+    /** Hides the validation report. */
+    function closeValidationReport() {
+        validationDialog.hidden = true;
+        validationDialog.innerHTML = '';
+    }
+
+    /**
+     * Lists exactly the given records in the table (clearing the column filters), so they can be fixed by hand.
+     * @param {Array<number>} rowIndices Indices into `currentData`.
+     */
+    function showRowsInTable(rowIndices) {
+        commitVisibleEdits();
+        document.querySelectorAll('.filter-input').forEach(input => { input.value = ''; });
+        filteredIndices = rowIndices.slice();
+        goToPage(1);
+    }
+
+    // =================================================================================
+    // --- 7. CHANGE REVIEW AND JSON PATCH ---
+    // Before downloading, the editor compares `currentData` with `baselineData` (the file as it was loaded).
+    // =================================================================================
+
+    /** Returns a deep copy of a list of records. */
+    function cloneRecords(records) {
+        return JSON.parse(JSON.stringify(records));
+    }
+
+    /** Returns the value of a field as the string that is compared and shown in the review. */
+    function fieldText(value) {
+        return value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Compares the current data with the data as it was loaded. Records are matched by their id,
+     * so a record keeps its identity even when rows before it are deleted.
+     * Completely empty rows are ignored because they are dropped when saving.
+     * @param {Array<Object>} [records] The records to compare; defaults to `currentData`.
+     * @param {Array<Object>} [baseData] The records to compare with; defaults to `baselineData`.
+     * @param {Array<string>} [baseIds] The id of each record of `baseData`; defaults to `baselineIds`.
+     * @returns {{added: Array<Object>, modified: Array<Object>, deleted: Array<Object>}}
+     *          Each entry holds the `id`, the `record` (current or, for deletions, the old one) and,
+     *          for modifications, the `before` record and the list of changed `fields`.
+     */
+    function computeChanges(records = currentData, baseData = baselineData, baseIds = baselineIds) {
+        const baselineById = new Map(baseIds.map((id, index) => [id, baseData[index]]));
+        const currentIds = new Set();
+        const added = [];
+        const modified = [];
+
+        records.forEach(record => {
+            if (isEmptyRow(record)) return;
+            const id = record[RECORD_ID_FIELD];
+            currentIds.add(id);
+            const before = baselineById.get(id);
+            if (!before) {
+                added.push({ id, record });
+                return;
+            }
+            const keys = new Set([...Object.keys(before), ...Object.keys(record)]);
+            const fields = Array.from(keys).filter(key => fieldText(before[key]) !== fieldText(record[key]) || (key in before) !== (key in record));
+            if (fields.length > 0) modified.push({ id, record, before, fields });
+        });
+
+        const deleted = baseIds
+            .map((id, index) => ({ id, record: baseData[index], baselineIndex: index }))
+            .filter(entry => !currentIds.has(entry.id));
+
+        return { added, modified, deleted };
+    }
+
+    /** Escapes a key for use in a JSON Pointer (RFC 6901), e.g. 'component/product' -> 'component~1product'. */
+    function escapeJsonPointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Builds an RFC 6902 JSON Patch that turns the loaded file into the data about to be saved.
+     * The operations are ordered so that every array index is valid when it is applied:
+     *   1. removals, from the highest index down (each guarded by a 'test' of the record id where possible),
+     *   2. field changes of the remaining records,
+     *   3. additions, at their final position.
+     * @returns {Array<Object>} The patch operations.
+     */
+    function buildJsonPatch() {
+        const { added, modified, deleted } = computeChanges();
+        const patch = [];
+
+        // 1. Removals. Going from the end keeps the indices of the records still to remove unchanged.
+        deleted.slice().sort((a, b) => b.baselineIndex - a.baselineIndex).forEach(entry => {
+            if (entry.record[RECORD_ID_FIELD] !== undefined) {
+                patch.push({ op: 'test', path: `/${entry.baselineIndex}/${RECORD_ID_FIELD}`, value: entry.record[RECORD_ID_FIELD] });
+            }
+            patch.push({ op: 'remove', path: `/${entry.baselineIndex}` });
+        });
+
+        // 2. Field changes, addressed by the position of the record once the removals are done.
+        const deletedIds = new Set(deleted.map(entry => entry.id));
+        const survivingIds = baselineIds.filter(id => !deletedIds.has(id));
+        modified.forEach(entry => {
+            const index = survivingIds.indexOf(entry.id);
+            entry.fields.forEach(key => {
+                const path = `/${index}/${escapeJsonPointer(key)}`;
+                if (!(key in entry.record)) {
+                    patch.push({ op: 'remove', path });
+                } else if (!(key in entry.before)) {
+                    patch.push({ op: 'add', path, value: entry.record[key] });
+                } else {
+                    patch.push({ op: 'replace', path, value: entry.record[key] });
+                }
+            });
+        });
+
+        // 3. Additions, in the order they appear in the saved file.
+        const addedIds = new Set(added.map(entry => entry.id));
+        currentData.filter(record => !isEmptyRow(record)).forEach((record, finalIndex) => {
+            if (addedIds.has(record[RECORD_ID_FIELD])) {
+                patch.push({ op: 'add', path: `/${finalIndex}`, value: record });
+            }
+        });
+        return patch;
+    }
+
+    /**
+     * Undoes one change.
+     * @param {'added'|'modified'|'deleted'} kind The kind of change.
+     * @param {Object} entry The entry from `computeChanges`.
+     * @param {string} [field] For modifications: revert only this field instead of the whole record.
+     */
+    function revertChange(kind, entry, field) {
+        // Reverting goes through the history like any other edit, so it can itself be undone.
+        let performed = false;
+        if (kind === 'added') {
+            performed = performEdit(`Remove added '${describeRecord(entry.record)}'`, [{ type: 'remove', record: entry.record }]);
+        } else if (kind === 'modified') {
+            const fields = field ? [field] : entry.fields;
+            const changes = fields.map(key => ({
+                type: 'field', record: entry.record, key, after: key in entry.before ? entry.before[key] : undefined
+            }));
+            performed = performEdit(`Revert '${describeRecord(entry.record)}'`, changes);
+        } else if (kind === 'deleted') {
+            // Put the record back right after the closest earlier record that still exists.
+            let insertAt = 0;
+            for (let i = entry.baselineIndex - 1; i >= 0; i--) {
+                const position = currentData.findIndex(row => row[RECORD_ID_FIELD] === baselineIds[i]);
+                if (position > -1) {
+                    insertAt = position + 1;
+                    break;
+                }
+            }
+            const restored = cloneRecords([entry.record])[0];
+            if (restored[RECORD_ID_FIELD] === undefined) restored[RECORD_ID_FIELD] = entry.id;
+            performed = performEdit(`Restore '${describeRecord(restored)}'`, [{ type: 'insert', record: restored, index: insertAt }]);
+        }
+        if (!performed) return;
+
+        clearSelection();
+        refreshAfterDataChange();
+        showChangeReview();
+    }
+
+    /** Describes a record in one line for the review, e.g. 'ibm / omvs / commands'. */
+    function describeRecord(record) {
+        const summary = columnHeaders
+            .filter(header => !config.codeFields.includes(header))
+            .map(header => fieldText(record[header]).trim())
+            .filter(value => value !== '')
+            .join(' / ');
+        return summary || '(no summary)';
+    }
+
+    /**
+     * Creates a before/after table of the given fields of a change.
+     * @param {Array<string>} fields The fields to show.
+     * @param {Object|null} before The old record (null for additions).
+     * @param {Object|null} after The new record (null for deletions).
+     * @param {Function} [onRevertField] Called with a field name when its revert button is clicked.
+     * @returns {HTMLTableElement} The table.
+     */
+    function createDiffTable(fields, before, after, onRevertField) {
+        const table = document.createElement('table');
+        table.className = 'diff-table';
+        const head = table.createTHead().insertRow();
+        ['Field', 'Before', 'After', ''].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        fields.forEach(key => {
+            const row = body.insertRow();
+            row.insertCell().textContent = key;
+            [before, after].forEach((record, side) => {
+                const cell = row.insertCell();
+                if (!record || !(key in record)) {
+                    cell.className = 'diff-missing';
+                    cell.textContent = '(none)';
+                    return;
+                }
+                const pre = document.createElement('pre');
+                pre.className = side === 0 ? 'diff-before' : 'diff-after';
+                pre.textContent = fieldText(record[key]);
+                cell.appendChild(pre);
+            });
+            const actionCell = row.insertCell();
+            if (onRevertField) {
+                const revertButton = document.createElement('button');
+                revertButton.textContent = 'Revert';
+                revertButton.addEventListener('click', () => onRevertField(key));
+                actionCell.appendChild(revertButton);
+            }
+        });
+        return table;
+    }
+
+    /**
+     * Adds one block per added, modified and deleted record to a dialog.
+     * @param {HTMLElement} container Where the blocks go.
+     * @param {{added: Array<Object>, modified: Array<Object>, deleted: Array<Object>}} changes From `computeChanges`.
+     * @param {Function} [onRevert] Called as `onRevert(kind, entry, field)` by the revert buttons; without it there are none.
+     */
+    function appendChangeEntries(container, changes, onRevert) {
+        const sections = [
+            { kind: 'added', label: 'ADDED', entries: changes.added, revertLabel: 'Remove' },
+            { kind: 'modified', label: 'MODIFIED', entries: changes.modified, revertLabel: 'Revert record' },
+            { kind: 'deleted', label: 'DELETED', entries: changes.deleted, revertLabel: 'Restore' }
+        ];
+        sections.forEach(({ kind, label, entries, revertLabel }) => {
+            entries.forEach(entry => {
+                const change = document.createElement('div');
+                change.className = `change-entry change-${kind}`;
+                const heading = document.createElement('div');
+                heading.className = 'change-heading';
+                const text = document.createElement('strong');
+                text.textContent = `${label}: ${describeRecord(entry.record)} [${entry.id}]`;
+                heading.appendChild(text);
+                if (onRevert) {
+                    const revertButton = document.createElement('button');
+                    revertButton.textContent = revertLabel;
+                    revertButton.addEventListener('click', () => onRevert(kind, entry));
+                    heading.appendChild(revertButton);
+                }
+                change.appendChild(heading);
+
+                if (kind === 'modified') {
+                    const onRevertField = onRevert ? field => onRevert(kind, entry, field) : undefined;
+                    change.appendChild(createDiffTable(entry.fields, entry.before, entry.record, onRevertField));
+                } else {
+                    const fields = Object.keys(entry.record).filter(key => key !== RECORD_ID_FIELD);
+                    change.appendChild(createDiffTable(fields, kind === 'added' ? null : entry.record, kind === 'added' ? entry.record : null));
+                }
+                container.appendChild(change);
+            });
+        });
+    }
+
+    /** Shows the review dialog with every added, modified and deleted record since the file was loaded. */
+    function showChangeReview() {
+        const changes = computeChanges();
+        const total = changes.added.length + changes.modified.length + changes.deleted.length;
+        reviewDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+
+        const title = document.createElement('h2');
+        title.textContent = `Review changes to ${config.dataFile}`;
+        const summary = document.createElement('p');
+        summary.textContent = total === 0
+            ? 'There are no changes since the file was loaded.'
+            : `${changes.added.length} added, ${changes.modified.length} modified and ${changes.deleted.length} deleted record(s).`;
+        box.append(title, summary);
+
+        appendChangeEntries(box, changes, revertChange);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const patchLabel = document.createElement('label');
+        const patchCheckbox = document.createElement('input');
+        patchCheckbox.type = 'checkbox';
+        patchCheckbox.disabled = total === 0;
+        patchLabel.append(patchCheckbox, ' Also download the changes as a JSON Patch');
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Download data file';
+        saveButton.addEventListener('click', () => {
+            closeChangeReview();
+            saveChanges({ includePatch: patchCheckbox.checked });
+        });
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Keep editing';
+        cancelButton.addEventListener('click', closeChangeReview);
+
+        actions.append(patchLabel, saveButton, cancelButton);
+        box.appendChild(actions);
+        reviewDialog.appendChild(box);
+        reviewDialog.hidden = false;
+    }
+
+    /** Hides the change review. */
+    function closeChangeReview() {
+        reviewDialog.hidden = true;
+        reviewDialog.innerHTML = '';
+    }
+
+    /**
+     * Offers a JSON value to the browser as a file download.
+     * @param {*} data The value to save.
+     * @param {string} fileName The suggested file name.
+     */
+    function downloadJsonFile(data, fileName) {
+        const jsonString = JSON.stringify(data, null, 2);
+        const blob = new Blob([jsonString], { type: 'application/json' }); // Create a Blob object from the JSON string.
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName; // Set the default filename for the download.
+        document.body.appendChild(a);
+        a.click(); // Programmatically click the link to trigger the download.
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // =================================================================================
+    // --- 8. UNDO / REDO HISTORY ---
+    // Every change to the data in edit mode is one step in `editHistory`: typed cell edits,
+    // F6 additions, F7 deletions, validation fixes and reverts from the change review.
+    // A step is a list of changes, each one of:
+    //   { type: 'field', record, key, after }  - sets `record[key]` (an `after` of undefined removes the key)
+    //   { type: 'insert', record, index }      - puts `record` into `currentData` at `index`
+    //   { type: 'remove', record }             - takes `record` out of `currentData`
+    // The value or position a change replaces is noted when it is applied, so undoing restores it exactly.
+    // =================================================================================
+
+    /**
+     * Applies one change to `currentData`, or takes it back.
+     * @param {Object} change The change (see above).
+     * @param {'undo'|'redo'} direction 'redo' applies the change, 'undo' reverses it.
+     */
+    function applyChange(change, direction) {
+        const forward = direction === 'redo';
+        if (change.type === 'field') {
+            if (forward) change.before = change.record[change.key];
+            const value = forward ? change.after : change.before;
+            if (value === undefined) {
+                delete change.record[change.key];
+            } else {
+                change.record[change.key] = value;
+            }
+            return;
+        }
+        // Undoing an insertion is a removal and undoing a removal is an insertion.
+        const inserting = (change.type === 'insert') === forward;
+        if (inserting) {
+            currentData.splice(change.index, 0, change.record);
+        } else {
+            const index = currentData.indexOf(change.record);
+            if (index === -1) return;
+            if (change.type === 'remove') change.index = index;
+            currentData.splice(index, 1);
+        }
+    }
+
+    /**
+     * Applies a list of changes as one undoable step.
+     * A step that changes or deletes many records asks for confirmation first.
+     * The caller redraws the table afterwards.
+     * @param {string} label The name of the step in the history list.
+     * @param {Array<Object>} changes The changes (see above).
+     * @returns {boolean} False if there was nothing to do or the user cancelled.
+     */
+    function performEdit(label, changes) {
+        if (changes.length === 0) return false;
+        const affected = new Set(changes.filter(change => change.type !== 'insert').map(change => change.record));
+        if (affected.size > BULK_CONFIRM_THRESHOLD &&
+            !confirm(`"${label}" will change or delete ${affected.size} records.\n\nContinue? (It can be undone with Ctrl+Z.)`)) {
+            return false;
+        }
+        changes.forEach(change => applyChange(change, 'redo'));
+        pushHistory({ label, changes });
+        return true;
+    }
+
+    /**
+     * Adds an already applied step to the history. Any undone steps after the current position are dropped.
+     * @param {{label: string, changes: Array<Object>}} step The step.
+     */
+    function pushHistory(step) {
+        editHistory.splice(historyPosition);
+        editHistory.push(step);
+        if (editHistory.length > HISTORY_LIMIT) editHistory.shift();
+        historyPosition = editHistory.length;
+        renderHistoryPanel();
+        scheduleDraftSave();
+    }
+
+    /** Forgets every step, e.g. after loading or saving a file. */
+    function clearHistory() {
+        editHistory = [];
+        historyPosition = 0;
+    }
+
+    /**
+     * Undoes or redoes steps until `position` steps of the history are applied.
+     * Moving more than one step at a time asks for confirmation.
+     * @param {number} position The target position, from 0 (as loaded) to `editHistory.length`.
+     */
+    function goToHistoryPosition(position) {
+        if (!isEditMode || isDialogOpen()) return;
+        // Typing that hasn't been committed yet becomes a step of its own (and drops any redo steps).
+        commitVisibleEdits();
+        position = Math.min(Math.max(position, 0), editHistory.length);
+        const steps = Math.abs(position - historyPosition);
+        if (steps === 0) return;
+        if (steps > 1) {
+            const action = position < historyPosition ? 'Undo' : 'Redo';
+            if (!confirm(`${action} ${steps} steps?`)) return;
+        }
+
+        while (historyPosition > position) {
+            historyPosition--;
+            editHistory[historyPosition].changes.slice().reverse().forEach(change => applyChange(change, 'undo'));
+        }
+        while (historyPosition < position) {
+            editHistory[historyPosition].changes.forEach(change => applyChange(change, 'redo'));
+            historyPosition++;
+        }
+
+        clearSelection();
+        refreshAfterDataChange();
+        renderHistoryPanel();
+        scheduleDraftSave();
+    }
+
+    /** Undoes the last step (Ctrl+Z). */
+    function undo() {
+        // Uncommitted typing is committed as a step first; that is then the step undone.
+        commitVisibleEdits();
+        goToHistoryPosition(historyPosition - 1);
+    }
+
+    /** Redoes the last undone step (Ctrl+Shift+Z). */
+    function redo() {
+        goToHistoryPosition(historyPosition + 1);
+    }
+
+    /** Draws the undo/redo buttons and the history list above the table. It is only shown in edit mode. */
+    function renderHistoryPanel() {
+        historyPanel.innerHTML = '';
+        historyPanel.hidden = !isEditMode;
+        if (!isEditMode) return;
+
+        const undoButton = document.createElement('button');
+        undoButton.textContent = 'Undo';
+        undoButton.title = 'Ctrl+Z';
+        undoButton.disabled = historyPosition === 0;
+        undoButton.addEventListener('click', undo);
+
+        const redoButton = document.createElement('button');
+        redoButton.textContent = 'Redo';
+        redoButton.title = 'Ctrl+Shift+Z';
+        redoButton.disabled = historyPosition === editHistory.length;
+        redoButton.addEventListener('click', redo);
+
+        // The list shows every step; clicking one undoes or redoes everything up to and including it.
+        const details = document.createElement('details');
+        details.className = 'history-list';
+        details.open = historyListOpen;
+        details.addEventListener('toggle', () => { historyListOpen = details.open; });
+        const summary = document.createElement('summary');
+        summary.textContent = `History (${historyPosition} of ${editHistory.length} step(s) applied)`;
+        const list = document.createElement('ol');
+        const steps = [{ label: 'File as loaded' }, ...editHistory];
+        steps.forEach((step, position) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'history-step';
+            button.textContent = step.label;
+            if (position === historyPosition) button.classList.add('history-current');
+            if (position > historyPosition) button.classList.add('history-undone');
+            button.addEventListener('click', () => goToHistoryPosition(position));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        details.append(summary, list);
+
+        // Importing a spreadsheet is an edit like any other, so its button sits in the same toolbar.
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import spreadsheet...';
+        importButton.addEventListener('click', openImportDialog);
+        const duplicatesButton = document.createElement('button');
+        duplicatesButton.textContent = 'Find duplicates...';
+        duplicatesButton.addEventListener('click', openDuplicatesReport);
+
+        const linkReportButton = document.createElement('button');
+        linkReportButton.textContent = 'Load link report...';
+        linkReportButton.title = 'Flag the rows whose addresses check-links.js found broken or moved';
+        linkReportButton.addEventListener('click', chooseLinkReport);
+
+        // The selection (shift/ctrl-click, or all filtered rows) is what F7 deletes and what find and replace can be limited to.
+        const selectAllButton = document.createElement('button');
+        selectAllButton.textContent = 'Select all filtered';
+        selectAllButton.addEventListener('click', selectAllFilteredRows);
+        const clearSelectionButton = document.createElement('button');
+        clearSelectionButton.className = 'clear-selection';
+        clearSelectionButton.textContent = 'Clear selection';
+        clearSelectionButton.addEventListener('click', clearSelection);
+        const selectionStatus = document.createElement('span');
+        selectionStatus.className = 'selection-status';
+        const replaceButton = document.createElement('button');
+        replaceButton.textContent = 'Find and replace...';
+        replaceButton.addEventListener('click', openReplaceDialog);
+
+        historyPanel.append(undoButton, redoButton, importButton, duplicatesButton, linkReportButton,
+            selectAllButton, clearSelectionButton, selectionStatus, replaceButton);
+        const flaggedCount = countLinkProblems();
+        if (linkReport && flaggedCount > 0) {
+            // Once a report is loaded, the flagged rows can be listed on their own.
+            const label = document.createElement('label');
+            label.className = 'link-filter';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = showOnlyLinkProblems;
+            checkbox.addEventListener('change', () => {
+                showOnlyLinkProblems = checkbox.checked;
+                filterTable();
+            });
+            label.append(checkbox, ` Only rows with link problems (${flaggedCount})`);
+            historyPanel.appendChild(label);
+        }
+        historyPanel.appendChild(details);
+        updateSelectionDisplay();
+    }
+
+    // =================================================================================
+    // --- 9. AUTOSAVED DRAFTS ---
+    // Until Esc downloads the file, the edits only live in this page. So that closing the tab, switching
+    // datasets or a browser crash doesn't lose them, every step in the history also writes the data to
+    // localStorage (one draft per data file). When the file is opened again, the draft is offered back.
+    // The cell being typed in is included as soon as it loses focus.
+    // =================================================================================
+
+    /** Returns the localStorage key of the draft of the current data file. */
+    function getDraftKey() {
+        return DRAFT_KEY_PREFIX + config.dataFile;
+    }
+
+    /**
+     * Returns true if the data differs from the file as it was last loaded, saved or downloaded. After a download
+     * that is not the merge base (`baselineData` stays the file as loaded until it is uploaded), but the changes
+     * are out of the editor, so leaving the page or the dataset needs no warning and no draft.
+     */
+    function hasUnsavedChanges() {
+        const changes = computeChanges(currentData, savedData, savedIds);
+        return changes.added.length + changes.modified.length + changes.deleted.length > 0;
+    }
+
+    /** Writes the draft after a short pause; called whenever the data changes. */
+    function scheduleDraftSave() {
+        clearTimeout(draftTimerId);
+        draftTimerId = setTimeout(saveDraft, AUTOSAVE_DELAY_MS);
+    }
+
+    /** Writes a pending autosave right away, e.g. before the page is left or the dataset switched. */
+    function flushDraftSave() {
+        if (draftTimerId !== null) saveDraft();
+    }
+
+    /** Writes the current data as the draft of its file, or removes the draft if nothing is left to save. */
+    function saveDraft() {
+        clearTimeout(draftTimerId);
+        draftTimerId = null;
+        try {
+            if (!hasUnsavedChanges()) {
+                localStorage.removeItem(getDraftKey());
+                return;
+            }
+            localStorage.setItem(getDraftKey(), JSON.stringify({ savedAt: new Date().toISOString(), baseRevision, data: currentData }));
+        } catch (error) {
+            // Storage can be full or disabled (e.g. private browsing); editing still works without it.
+            console.warn('Could not autosave the draft:', error);
+        }
+    }
+
+    /**
+     * Reads the draft of the current data file.
+     * @returns {{savedAt: string, baseRevision: string, data: Array<Object>}|null} The draft, or null if there is none.
+     */
+    function readDraft() {
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(getDraftKey()));
+        } catch (error) {
+            console.warn('Could not read the autosaved draft:', error);
+            return null;
+        }
+        return draft && Array.isArray(draft.data) ? draft : null;
+    }
+
+    /** Deletes the draft of the current data file. */
+    function removeDraft() {
+        clearTimeout(draftTimerId);
+        draftTimerId = null;
+        try {
+            localStorage.removeItem(getDraftKey());
+        } catch (error) {
+            console.warn('Could not remove the autosaved draft:', error);
+        }
+    }
+
+    /**
+     * Called after a file is loaded: if an unsaved draft of it exists, asks whether to restore or discard
+     * it, with the differences to the freshly loaded file one click away.
+     */
+    function offerDraftRestore() {
+        const draft = readDraft();
+        if (!draft) return;
+        const changes = computeChanges(draft.data);
+        const total = changes.added.length + changes.modified.length + changes.deleted.length;
+        if (total === 0) {
+            // The draft matches the file (its changes were saved in the meantime), so there is nothing to offer.
+            removeDraft();
+            return;
+        }
+
+        draftDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = `Unsaved draft of ${config.dataFile}`;
+        const summary = document.createElement('p');
+        summary.textContent = `A draft autosaved on ${new Date(draft.savedAt).toLocaleString()} has ` +
+            `${changes.added.length} added, ${changes.modified.length} modified and ${changes.deleted.length} deleted ` +
+            'record(s) compared to the file that was just loaded.';
+        box.append(title, summary);
+        if (draft.baseRevision && draft.baseRevision !== baseRevision) {
+            // The draft was made from an older file, so its differences also undo whatever was saved since.
+            const warning = document.createElement('p');
+            warning.className = 'validation-warning';
+            warning.textContent = 'The file has been saved by someone else since this draft was made. Restoring the draft ' +
+                'would also undo their changes, so check the differences before saving it.';
+            box.appendChild(warning);
+        }
+
+        // The differences can be long, so they are only built when asked for.
+        const differences = document.createElement('div');
+        differences.hidden = true;
+        box.appendChild(differences);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const diffButton = document.createElement('button');
+        diffButton.textContent = 'Show differences';
+        diffButton.addEventListener('click', () => {
+            if (differences.childElementCount === 0) appendChangeEntries(differences, changes);
+            differences.hidden = !differences.hidden;
+            diffButton.textContent = differences.hidden ? 'Show differences' : 'Hide differences';
+        });
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore draft';
+        restoreButton.addEventListener('click', () => restoreDraft(draft));
+        const discardButton = document.createElement('button');
+        discardButton.textContent = 'Discard draft';
+        discardButton.addEventListener('click', () => {
+            if (!confirm(`Discard the draft of ${config.dataFile}? Its changes will be lost.`)) return;
+            removeDraft();
+            closeDraftDialog();
+        });
+
+        actions.append(diffButton, restoreButton, discardButton);
+        box.appendChild(actions);
+        draftDialog.appendChild(box);
+        draftDialog.hidden = false;
+    }
+
+    /**
+     * Replaces the loaded data with a draft. The file as loaded stays the baseline, so the change
+     * review before saving shows everything in the draft.
+     * @param {{data: Array<Object>}} draft The draft from `readDraft`.
+     */
+    function restoreDraft(draft) {
+        currentData = draft.data;
+        assignMissingRecordIds();
+        clearHistory();
+        renderHistoryPanel();
+        clearSelection();
+        currentPage = 1;
+        refreshAfterDataChange();
+        closeDraftDialog();
+        alert('The draft has been restored. Press F6 to continue editing and Esc to review and save it.');
+    }
+
+    /** Hides the draft offer. */
+    function closeDraftDialog() {
+        draftDialog.hidden = true;
+        draftDialog.innerHTML = '';
+    }
+
+    /**
+     * Asks before leaving data with unsaved changes (e.g. switching datasets). The draft is written first,
+     * so the changes are offered again when the file is opened next time.
+     * @returns {boolean} True if it is fine to go on.
+     */
+    function confirmLeavingUnsavedChanges() {
+        if (!config) return true;
+        commitVisibleEdits();
+        flushDraftSave();
+        if (!hasUnsavedChanges()) return true;
+        return confirm(`You have unsaved changes to ${config.dataFile}. They are kept as a draft in this browser ` +
+            'and offered again when you open the file.\n\nSwitch anyway?');
+    }
+
+    // =================================================================================
+    // --- 10. SAVE SERVER ---
+    // When the site is served by server.js, saving writes the data file on the server (with a backup)
+    // instead of downloading it, and edit mode needs a user name and password checked by the server.
+    // On any other host the API isn't there and the editor keeps the download flow.
+    // =================================================================================
+
+    /**
+     * Asks the server whether it is server.js.
+     * @returns {Promise<{user: string|null}|null>} The server status, or null when there is no save server.
+     */
+    async function detectSaveServer() {
+        try {
+            const response = await fetch('api/status', { cache: 'no-store' });
+            if (!response.ok) return null;
+            const status = await response.json();
+            return status && status.server === true ? { user: status.user } : null;
+        } catch (error) {
+            // Static hosting answers with a 404 page (not JSON) and file:// pages can't fetch at all.
+            return null;
+        }
+    }
+
+    /**
+     * Sends a JSON request to the save server.
+     * @param {string} method The HTTP method.
+     * @param {string} url The API path, relative to edit.html.
+     * @param {*} [body] The request body.
+     * @param {Object} [headers] Extra request headers.
+     * @returns {Promise<{status: number, ok: boolean, result: Object}>} The response status and parsed body.
+     */
+    async function callSaveServer(method, url, body, headers = {}) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            cache: 'no-store'
+        });
+        let result = {};
+        try {
+            result = await response.json();
+        } catch (error) {
+            // Keep the empty result; the status says what happened.
+        }
+        return { status: response.status, ok: response.ok, result };
+    }
+
+    /**
+     * Asks for a user name and password and logs in to the save server.
+     * @returns {Promise<boolean>} True if the login worked.
+     */
+    async function loginToSaveServer() {
+        const username = prompt('Please enter your user name:', saveServer.lastUser || '');
+        if (username === null) return false;
+        const password = prompt('Please enter the password to edit:');
+        if (password === null) return false;
+        try {
+            const { ok, status, result } = await callSaveServer('POST', 'api/login', { username, password });
+            if (!ok) {
+                alert(result.error || `Could not log in (status ${status}).`);
+                return false;
+            }
+            saveServer.user = result.user;
+            saveServer.lastUser = result.user;
+            return true;
+        } catch (error) {
+            console.error('Failed to log in to the save server:', error);
+            alert('Could not reach the save server. Please check that server.js is running.');
+            return false;
+        }
+    }
+
+    /**
+     * Writes a data file on the save server. An expired session asks to log in again once.
+     * @param {string} fileName The data file, e.g. 'zosinfo-data.json'.
+     * @param {Array<Object>} data The records.
+     * @returns {Promise<{records: number, backup: string|null, revision: string, conflict: boolean}|null>}
+     *          The server's answer (with `conflict` set if the file was changed by someone else since it was
+     *          loaded), or null if saving failed (the user has been told, and the caller falls back to the download).
+     */
+    async function saveDataToServer(fileName, data) {
+        // The server refuses the save if the file is no longer the revision we started from.
+        // It only knows SHA-256 revisions; see computeRevision.
+        const headers = baseRevision && baseRevision.startsWith('sha256:') ? { 'If-Match': `"${baseRevision}"` } : {};
+        try {
+            let response = await callSaveServer('PUT', `api/data/${encodeURIComponent(fileName)}`, data, headers);
+            if (response.status === 401) {
+                saveServer.user = null;
+                alert('Your session has expired. Please log in again to save.');
+                if (!(await loginToSaveServer())) throw new Error('Not logged in.');
+                response = await callSaveServer('PUT', `api/data/${encodeURIComponent(fileName)}`, data, headers);
+            }
+            if (response.status === 412) return { conflict: true };
+            if (!response.ok) throw new Error(response.result.error || `Status ${response.status}`);
+            return response.result;
+        } catch (error) {
+            console.error('Failed to save to the server:', error);
+            alert(`Saving to the server failed (${error.message}). The file will be downloaded instead.`);
+            return null;
+        }
+    }
+
+    // =================================================================================
+    // --- 11. CONCURRENT EDITS AND THREE-WAY MERGE ---
+    // Two people can edit the same file on the same day. The editor remembers the revision (a hash of the
+    // file's content) it loaded; when saving, it loads the file again and, if its revision has changed,
+    // merges the other person's changes ("theirs") with ours ("mine"), using the file as it was loaded
+    // ("base") to tell who changed what. Records are matched by id and merged field by field, so only the
+    // same field changed differently on both sides, or a record changed on one side and deleted on the
+    // other, needs a decision. server.js also refuses a save whose revision is out of date.
+    // =================================================================================
+
+    /**
+     * Loads the data file as it is now, without using a cached copy.
+     * @returns {Promise<{records: Array<Object>, revision: string}|null>} The file, or null if it can't be read
+     *          (then saving goes ahead without the check).
+     */
+    async function fetchLatestData() {
+        try {
+            const response = await fetch(config.dataFile, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Status ${response.status}`);
+            const text = await response.text();
+            return { records: JSON.parse(text), revision: await computeRevision(text) };
+        } catch (error) {
+            console.warn('Could not check the data file for changes by someone else:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Saves the edits (called from the change review). If the file has been saved by someone else since
+     * it was loaded, their changes are merged in first; only real conflicts are shown for a decision.
+     * @param {{includePatch: boolean}} [options] Passed on to `finishSave`.
+     */
+    async function saveChanges(options = {}) {
+        const latest = await fetchLatestData();
+        if (!latest || latest.revision === baseRevision) {
+            finishSave(options);
+            return;
+        }
+        const merge = mergeRecords(latest.records);
+        if (merge.conflicts.length === 0) {
+            applyMerge(merge, latest);
+            alert(`${config.dataFile} was saved by someone else after you loaded it. Their changes to ${merge.theirChanges} ` +
+                'record(s) did not clash with yours and have been merged in.');
+            finishSave(options);
+            return;
+        }
+        showMergeDialog(merge, latest, options);
+    }
+
+    /** Returns true if two field values are the same, treating a missing field as different from an empty one. */
+    function sameValue(a, b) {
+        return (a === undefined) === (b === undefined) && fieldText(a) === fieldText(b);
+    }
+
+    /** Returns true if two records have the same fields and values. */
+    function sameRecord(a, b) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return Array.from(keys).every(key => sameValue(a[key], b[key]));
+    }
+
+    /**
+     * Merges the records of the latest file (theirs) with `currentData` (mine), using `baselineData` as the base.
+     * Nothing is changed until `applyMerge`; the conflicts default to keeping mine.
+     * @param {Array<Object>} theirRecords The records of the latest file.
+     * @returns {{entries: Array<{record: Object, keep: boolean}>, theirs: Array<Object>, conflicts: Array<Object>, theirChanges: number}}
+     *          The merged records in order (`keep` is false for a record that is deleted), their records with
+     *          an id each, the conflicts and how many records they changed. Each conflict has a `choose(side)`
+     *          function that applies 'mine' or 'theirs' to the entries.
+     */
+    function mergeRecords(theirRecords) {
+        const baseById = new Map(baselineIds.map((id, index) => [id, baselineData[index]]));
+        const mine = currentData.filter(row => !isEmptyRow(row));
+        const mineById = new Map(mine.map(record => [record[RECORD_ID_FIELD], record]));
+        // A record saved without an id (e.g. pasted in from the converter) can't be matched, so it counts as new.
+        const theirs = theirRecords.map(record => (record[RECORD_ID_FIELD] ? record : { [RECORD_ID_FIELD]: generateRecordId(), ...record }));
+        const theirsById = new Map(theirs.map(record => [record[RECORD_ID_FIELD], record]));
+        const entries = [];
+        const conflicts = [];
+        let theirChanges = 0;
+
+        /** Merges one record changed on both sides field by field; clashing fields become conflicts. */
+        const mergeFields = (id, base, myRecord, theirRecord) => {
+            const record = {};
+            // Their field order first (it is the file), then any fields only we have.
+            const keys = new Set([...Object.keys(theirRecord), ...Object.keys(myRecord)]);
+            keys.forEach(key => {
+                const [baseValue, myValue, theirValue] = [base[key], myRecord[key], theirRecord[key]];
+                let value = myValue;
+                if (sameValue(myValue, baseValue)) {
+                    value = theirValue;
+                } else if (!sameValue(theirValue, baseValue) && !sameValue(myValue, theirValue)) {
+                    conflicts.push({
+                        kind: 'field', id, key, record, base: baseValue, mine: myValue, theirs: theirValue,
+                        choose: side => {
+                            const chosen = side === 'theirs' ? theirValue : myValue;
+                            if (chosen === undefined) delete record[key];
+                            else record[key] = chosen;
+                        }
+                    });
+                }
+                if (value !== undefined) record[key] = value;
+            });
+            return record;
+        };
+
+        // Walk their records in their order: that is the file everybody else sees.
+        theirs.forEach(theirRecord => {
+            const id = theirRecord[RECORD_ID_FIELD];
+            const base = baseById.get(id);
+            const myRecord = mineById.get(id);
+            if (!base) {
+                // Added by them. (Added by both with the same id can only be a copy of the same record.)
+                theirChanges++;
+                entries.push({ record: myRecord ? mergeFields(id, {}, myRecord, theirRecord) : theirRecord, keep: true });
+                return;
+            }
+            if (!sameRecord(base, theirRecord)) theirChanges++;
+            if (myRecord) {
+                entries.push({ record: mergeFields(id, base, myRecord, theirRecord), keep: true });
+                return;
+            }
+            // Deleted by me. That stands unless they changed the record in the meantime.
+            if (sameRecord(base, theirRecord)) return;
+            const entry = { record: theirRecord, keep: false };
+            entries.push(entry);
+            conflicts.push({
+                kind: 'deleted-by-me', id, record: theirRecord, base, theirs: theirRecord,
+                choose: side => { entry.keep = side === 'theirs'; }
+            });
+        });
+
+        // Then our records that aren't in their file: our additions, and records they deleted.
+        mine.forEach((myRecord, myIndex) => {
+            const id = myRecord[RECORD_ID_FIELD];
+            if (theirsById.has(id)) return;
+            const base = baseById.get(id);
+            let entry = null;
+            if (!base) {
+                entry = { record: myRecord, keep: true };
+            } else if (!sameRecord(base, myRecord)) {
+                // Deleted by them but changed by me.
+                const conflictEntry = { record: myRecord, keep: true };
+                conflicts.push({
+                    kind: 'deleted-by-them', id, record: myRecord, base, mine: myRecord,
+                    choose: side => { conflictEntry.keep = side === 'mine'; }
+                });
+                entry = conflictEntry;
+            } else {
+                theirChanges++; // Deleted by them and unchanged by me: it stays deleted.
+            }
+            if (!entry) return;
+            // Put it right after the record that comes before it in our data, if that is in the result.
+            let insertAt = 0;
+            for (let i = myIndex - 1; i >= 0; i--) {
+                const position = entries.findIndex(candidate => candidate.record[RECORD_ID_FIELD] === mine[i][RECORD_ID_FIELD]);
+                if (position > -1) {
+                    insertAt = position + 1;
+                    break;
+                }
+            }
+            entries.splice(insertAt, 0, entry);
+        });
+
+        return { entries, theirs, conflicts, theirChanges };
+    }
+
+    /**
+     * Makes the merged records the data being edited, with the latest file as the new base.
+     * @param {Object} merge The result of `mergeRecords`, with the conflicts decided.
+     * @param {{records: Array<Object>, revision: string}} latest The latest file.
+     */
+    function applyMerge(merge, latest) {
+        currentData = merge.entries.filter(entry => entry.keep).map(entry => entry.record);
+        baselineData = cloneRecords(latest.records);
+        baselineIds = merge.theirs.map(record => record[RECORD_ID_FIELD]);
+        baseRevision = latest.revision;
+        // The records have been rebuilt, so the old steps no longer point at them.
+        clearHistory();
+        renderHistoryPanel();
+        scheduleDraftSave();
+        clearSelection();
+        refreshAfterDataChange();
+    }
+
+    /**
+     * Creates the table of one conflicting field: the value in the base and on both sides.
+     * @param {string} key The field.
+     * @param {Array<*>} values The base, mine and theirs values.
+     * @returns {HTMLTableElement} The table.
+     */
+    function createConflictTable(key, values) {
+        const table = document.createElement('table');
+        table.className = 'diff-table merge-table';
+        const head = table.createTHead().insertRow();
+        ['Field', 'Original', 'Mine', 'Theirs'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const row = table.createTBody().insertRow();
+        row.insertCell().textContent = key;
+        values.forEach(value => {
+            const cell = row.insertCell();
+            if (value === undefined) {
+                cell.className = 'diff-missing';
+                cell.textContent = '(none)';
+                return;
+            }
+            const pre = document.createElement('pre');
+            pre.textContent = fieldText(value);
+            cell.appendChild(pre);
+        });
+        return table;
+    }
+
+    /**
+     * Shows the conflicts of a merge, each with a choice between mine and theirs, and saves once they are decided.
+     * @param {Object} merge The result of `mergeRecords`.
+     * @param {{records: Array<Object>, revision: string}} latest The latest file.
+     * @param {{includePatch: boolean}} options Passed on to `finishSave`.
+     */
+    function showMergeDialog(merge, latest, options) {
+        mergeDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = `Merge with the latest ${config.dataFile}`;
+        const summary = document.createElement('p');
+        summary.textContent = `${config.dataFile} was saved by someone else after you loaded it. Their changes to ` +
+            `${merge.theirChanges} record(s) have been combined with yours, except for the ${merge.conflicts.length} ` +
+            'conflict(s) below, where both of you changed the same thing. Choose which version to keep.';
+        box.append(title, summary);
+
+        const radios = [];
+        merge.conflicts.forEach((conflict, index) => {
+            const item = document.createElement('div');
+            item.className = 'change-entry change-modified';
+            const heading = document.createElement('strong');
+            heading.textContent = `${describeRecord(conflict.record)} [${conflict.id}]`;
+            item.appendChild(heading);
+
+            let choices;
+            if (conflict.kind === 'field') {
+                item.appendChild(createConflictTable(conflict.key, [conflict.base, conflict.mine, conflict.theirs]));
+                choices = [['mine', 'Keep mine'], ['theirs', 'Take theirs']];
+            } else {
+                const note = document.createElement('p');
+                const changed = conflict.kind === 'deleted-by-me' ? conflict.theirs : conflict.mine;
+                note.textContent = conflict.kind === 'deleted-by-me'
+                    ? 'You deleted this record, but they changed it:'
+                    : 'They deleted this record, but you changed it:';
+                const fields = Array.from(new Set([...Object.keys(conflict.base), ...Object.keys(changed)]))
+                    .filter(key => key !== RECORD_ID_FIELD && !sameValue(conflict.base[key], changed[key]));
+                item.append(note, createDiffTable(fields, conflict.base, changed));
+                choices = conflict.kind === 'deleted-by-me'
+                    ? [['mine', 'Delete it (mine)'], ['theirs', 'Keep their version']]
+                    : [['mine', 'Keep my version'], ['theirs', 'Delete it (theirs)']];
+            }
+
+            const choiceRow = document.createElement('div');
+            choiceRow.className = 'merge-choice';
+            choices.forEach(([side, text]) => {
+                const label = document.createElement('label');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `merge-conflict-${index}`;
+                radio.value = side;
+                radio.checked = side === 'mine';
+                radios.push(radio);
+                label.append(radio, ` ${text}`);
+                choiceRow.appendChild(label);
+            });
+            item.appendChild(choiceRow);
+            box.appendChild(item);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const chooseAll = side => radios.forEach(radio => { radio.checked = radio.value === side; });
+        const allMineButton = document.createElement('button');
+        allMineButton.textContent = 'Keep all mine';
+        allMineButton.addEventListener('click', () => chooseAll('mine'));
+        const allTheirsButton = document.createElement('button');
+        allTheirsButton.textContent = 'Take all theirs';
+        allTheirsButton.addEventListener('click', () => chooseAll('theirs'));
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Merge and save';
+        saveButton.addEventListener('click', () => {
+            merge.conflicts.forEach((conflict, index) => {
+                const chosen = radios.find(radio => radio.name === `merge-conflict-${index}` && radio.checked);
+                conflict.choose(chosen ? chosen.value : 'mine');
+            });
+            closeMergeDialog();
+            applyMerge(merge, latest);
+            finishSave(options);
+        });
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Keep editing';
+        cancelButton.title = 'Nothing is merged or saved; saving again will show the conflicts again.';
+        cancelButton.addEventListener('click', closeMergeDialog);
+
+        actions.append(allMineButton, allTheirsButton, saveButton, cancelButton);
+        box.appendChild(actions);
+        mergeDialog.appendChild(box);
+        mergeDialog.hidden = false;
+    }
+
+    /** Hides the merge dialog. */
+    function closeMergeDialog() {
+        mergeDialog.hidden = true;
+        mergeDialog.innerHTML = '';
+    }
+
+    // =================================================================================
+    // --- 12. RECORD EDITOR ---
+    // Table cells are fine for short values, but a contentEditable cell can't hold line breaks reliably.
+    // Double-clicking a row (or pressing Enter in a cell) opens the whole record in a form instead: long
+    // fields get a <textarea>, code fields (the 'code' columns of datasets.json) are monospaced with the JCL
+    // column rulers, and the suggestion fields offer the values already in use. The record is validated
+    // before it is written back, as one undoable step.
+    // =================================================================================
+
+    /**
+     * Returns the preferred spelling of a value, following the same rules as the validation report:
+     * synonyms first, then the controlled vocabulary, then the most common tidy spelling in the data.
+     * @param {string} header The column.
+     * @param {string} value The value.
+     * @returns {string|null} The preferred spelling, or null for an empty value.
+     */
+    function canonicalSpelling(header, value) {
+        const rules = config.validation || {};
+        const key = spellingKey(value, header, rules);
+        if (key === '') return null;
+        const counts = new Map();
+        currentData.forEach(row => {
+            if (row[header] === undefined || row[header] === null || spellingKey(row[header], header, rules) !== key) return;
+            counts.set(String(row[header]), (counts.get(String(row[header])) || 0) + 1);
+        });
+        return preferredSpelling(key, counts, header, rules) || String(value).trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Lists the values in use in a column, one preferred spelling per value, for the suggestion dropdowns.
+     * @param {string} header The column.
+     * @returns {Array<string>} The values, sorted.
+     */
+    function collectFieldSuggestions(header) {
+        const seen = new Map(); // normalized value -> preferred spelling
+        currentData.forEach(row => {
+            const key = normalizeValue(row[header]);
+            if (key !== '' && !seen.has(key)) seen.set(key, canonicalSpelling(header, row[header]));
+        });
+        return Array.from(new Set(seen.values())).sort(naturalCollator.compare);
+    }
+
+    /**
+     * Checks the values of one record against the validation rules of the current dataset.
+     * @param {Object<string, string>} values The field values, by column.
+     * @returns {Array<{severity: 'error'|'warning', header: string, message: string}>} The problems found.
+     */
+    function validateRecord(values) {
+        const rules = config.validation || {};
+        const issues = checkRecordValues(values, rules).map(({ severity, field, message }) => ({ severity, header: field, message }));
+        (rules.variantFields || []).forEach(header => {
+            const value = String(values[header] || '');
+            const canonical = canonicalSpelling(header, value);
+            if (canonical !== null && canonical !== value) {
+                issues.push({ severity: 'warning', header, message: `'${header}': '${value}' should be '${canonical}'.` });
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Turns the '\n' line breaks of a <textarea> back into the line endings the value had (or, for a value
+     * that had none, the ones the data files use).
+     * @param {string} text The text from the textarea.
+     * @param {*} original The value before editing.
+     * @returns {string} The text with the right line endings.
+     */
+    function restoreLineEndings(text, original) {
+        const originalText = fieldText(original);
+        const ending = originalText.includes('\r\n') ? '\r\n' : originalText.includes('\n') ? '\n' : DEFAULT_LINE_ENDING;
+        return text.replace(/\r\n|\r|\n/g, ending);
+    }
+
+    /** Creates the ISPF-style column scale shown above a code field: ----+----1----+----2 ... up to column 80. */
+    function createColumnRuler() {
+        const ruler = document.createElement('div');
+        ruler.className = 'column-ruler';
+        let scale = '';
+        for (let column = 1; column <= JCL_CARD_COLUMNS; column++) {
+            scale += column % 10 === 0 ? String((column / 10) % 10) : column % 5 === 0 ? '+' : '-';
+        }
+        ruler.textContent = scale;
+        return ruler;
+    }
+
+    /** Describes the cursor position and over-long lines of a code field, e.g. 'Line 3, column 17 - 1 line(s) past column 71'. */
+    function describeCodeColumns(textarea) {
+        const lines = textarea.value.split('\n');
+        const linesBefore = textarea.value.slice(0, textarea.selectionStart).split('\n');
+        let text = `Line ${linesBefore.length}, column ${linesBefore[linesBefore.length - 1].length + 1}`;
+        const pastStatement = lines.filter(line => line.length > JCL_STATEMENT_COLUMNS).length;
+        const pastCard = lines.filter(line => line.length > JCL_CARD_COLUMNS).length;
+        if (pastStatement > 0) text += ` - ${pastStatement} line(s) past column ${JCL_STATEMENT_COLUMNS}`;
+        if (pastCard > 0) text += `, ${pastCard} past column ${JCL_CARD_COLUMNS}`;
+        return text;
+    }
+
+    /**
+     * Opens the record editor for one record.
+     * @param {Object} record The record (an object in `currentData`).
+     * @param {string} [focusHeader] The field to put the cursor in.
+     */
+    function openRecordEditor(record, focusHeader) {
+        if (!isEditMode || isDialogOpen()) return;
+        // The form starts from the latest values, including anything typed into the table.
+        commitVisibleEdits();
+        recordDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = `Edit record [${record[RECORD_ID_FIELD]}]`;
+        box.appendChild(title);
+
+        const controls = new Map(); // header -> { control, initial }
+        columnHeaders.forEach((header, index) => {
+            const value = fieldText(record[header]);
+            const field = document.createElement('div');
+            field.className = 'record-field';
+            const label = document.createElement('label');
+            label.textContent = header;
+            label.htmlFor = `record-field-${index}`;
+            field.appendChild(label);
+
+            const isCode = config.codeFields.includes(header);
+            let control;
+            if (isCode || /[\r\n]/.test(value)) {
+                control = document.createElement('textarea');
+                control.rows = isCode ? 14 : 4;
+            } else {
+                control = document.createElement('input');
+                control.type = 'text';
+                if (config.suggestFields.includes(header)) {
+                    // A datalist offers the values in use, but still allows a new one.
+                    const list = document.createElement('datalist');
+                    list.id = `record-suggestions-${index}`;
+                    collectFieldSuggestions(header).forEach(suggestion => list.appendChild(new Option(suggestion)));
+                    control.setAttribute('list', list.id);
+                    field.appendChild(list);
+                }
+            }
+            control.id = `record-field-${index}`;
+            control.className = 'record-input';
+            control.value = value;
+
+            if (isCode) {
+                // Long JCL lines must not wrap, or the rulers would be meaningless.
+                control.classList.add('record-code');
+                control.wrap = 'off';
+                control.spellcheck = false;
+                const ruler = createColumnRuler();
+                const status = document.createElement('div');
+                status.className = 'record-code-status';
+                const updateStatus = () => { status.textContent = describeCodeColumns(control); };
+                ['input', 'keyup', 'click'].forEach(type => control.addEventListener(type, updateStatus));
+                control.addEventListener('scroll', () => { ruler.scrollLeft = control.scrollLeft; });
+                updateStatus();
+                field.append(ruler, control, status);
+            } else {
+                field.appendChild(control);
+            }
+            box.appendChild(field);
+            // The textarea has already turned '\r\n' into '\n', so compare against what it holds now.
+            controls.set(header, { control, initial: control.value });
+        });
+
+        const relatedEditor = createRelatedEditor(record);
+        box.appendChild(relatedEditor.element);
+
+        const messages = document.createElement('ul');
+        messages.className = 'validation-issues';
+        box.appendChild(messages);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const applyButton = document.createElement('button');
+        applyButton.textContent = 'Apply';
+        applyButton.title = 'Ctrl+Enter';
+        let shownWarnings = null;
+        const apply = () => {
+            const values = {};
+            controls.forEach(({ control, initial }, header) => {
+                if (control.value === initial) {
+                    values[header] = fieldText(record[header]); // Untouched fields keep their exact value.
+                } else if (control.tagName === 'TEXTAREA') {
+                    values[header] = restoreLineEndings(control.value, record[header]);
+                } else {
+                    values[header] = control.value.trim();
+                }
+            });
+            values[RELATED_FIELD] = relatedEditor.isDirty() ? relatedEditor.getValue() : fieldText(record[RELATED_FIELD]);
+
+            const issues = validateRecord(values);
+            messages.innerHTML = '';
+            issues.forEach(issue => {
+                const item = document.createElement('li');
+                item.className = `validation-${issue.severity}`;
+                item.textContent = `${issue.severity.toUpperCase()}: ${issue.message}`;
+                messages.appendChild(item);
+            });
+            // An error in a field that was changed here has to be fixed. Problems the record already had when
+            // the form was opened (the data files contain a few) are only shown, like warnings, so that they
+            // don't stop an unrelated edit; applying again accepts them.
+            if (issues.some(issue => issue.severity === 'error' && values[issue.header] !== fieldText(record[issue.header]))) return;
+            const warnings = issues.map(issue => issue.message).join('\n');
+            if (warnings !== '' && warnings !== shownWarnings) {
+                shownWarnings = warnings;
+                applyButton.textContent = 'Apply anyway';
+                return;
+            }
+            applyRecordEdits(record, values);
+        };
+        applyButton.addEventListener('click', apply);
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => closeRecordEditor());
+        actions.append(applyButton, cancelButton);
+        box.appendChild(actions);
+
+        box.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                apply();
+            }
+        });
+        // Lets Escape (see handleEscape) ask before throwing typed changes away.
+        recordDialog.isDirty = () => Array.from(controls.values()).some(({ control, initial }) => control.value !== initial) || relatedEditor.isDirty();
+
+        recordDialog.appendChild(box);
+        recordDialog.hidden = false;
+        const focusTarget = controls.get(focusHeader) || controls.values().next().value;
+        if (focusTarget) focusTarget.control.focus();
+    }
+
+    /**
+     * Writes the values from the record editor into the record as one undoable step and redraws the page.
+     * @param {Object} record The record.
+     * @param {Object<string, string>} values The new values, by column (and the cross-references, by RELATED_FIELD).
+     */
+    function applyRecordEdits(record, values) {
+        // A record without cross-references has no 'related' field at all.
+        const changes = [...columnHeaders, RELATED_FIELD]
+            .filter(header => values[header] !== fieldText(record[header]))
+            .map(header => ({ type: 'field', record, key: header, after: header === RELATED_FIELD && values[header] === '' ? undefined : values[header] }));
+        closeRecordEditor(true);
+        if (changes.length === 0) return;
+        performEdit(`Edit '${describeRecord(record)}' in the record editor`, changes);
+        refreshAfterDataChange();
+    }
+
+    /**
+     * Loads the records of a dataset for the related records of the record editor. The current dataset is
+     * the data being edited; the others are loaded from their files once.
+     * @param {string} key The dataset key.
+     * @returns {Promise<Array<Object>>} The records (none if the file can't be loaded).
+     */
+    function loadRelatedData(key) {
+        if (key === pageType) return Promise.resolve(currentData);
+        if (!relatedDataCache.has(key)) {
+            relatedDataCache.set(key, fetch(datasets[key].dataFile, { cache: 'no-cache' }).then(response => {
+                if (!response.ok) throw new Error(`Status: ${response.status}`);
+                return response.json();
+            }).catch(error => {
+                console.error(`Could not load ${datasets[key].dataFile} for the related records:`, error);
+                return [];
+            }));
+        }
+        return relatedDataCache.get(key);
+    }
+
+    /**
+     * Creates the "related records" part of the record editor: the records of the other datasets this record
+     * refers to (its RELATED_FIELD, see datasets.js), each with a Remove button; the suggested ones (records
+     * whose "relatedBy" columns share words with this one's) with an Add button; and a box to find any other
+     * record by its text. The records that refer to this one are listed too, but are changed in those records.
+     * @param {Object} record The record.
+     * @returns {{element: HTMLElement, getValue: function(): string, isDirty: function(): boolean}}
+     *          The part, the references as they are to be stored, and whether they were changed.
+     */
+    function createRelatedEditor(record) {
+        const initial = formatRelatedReferences(parseRelatedReferences(record));
+        let references = parseRelatedReferences(record);
+        const otherKeys = Object.keys(datasets).filter(key => key !== pageType);
+        let recordsByKey = null; // Dataset key -> records, once loaded.
+
+        const field = document.createElement('div');
+        field.className = 'record-field related-editor';
+        const label = document.createElement('label');
+        label.textContent = 'related records';
+        label.htmlFor = 'record-related-search';
+        const content = document.createElement('div');
+        content.textContent = 'Loading the other datasets...';
+
+        const search = document.createElement('input');
+        search.type = 'text';
+        search.id = 'record-related-search';
+        search.className = 'record-input';
+        search.placeholder = 'Type to find a record of another dataset, then Add';
+        const options = document.createElement('datalist');
+        options.id = 'record-related-options';
+        search.setAttribute('list', options.id);
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.textContent = 'Add';
+        const addRow = document.createElement('div');
+        addRow.className = 'related-add';
+        addRow.append(search, addButton, options);
+        field.append(label, content, addRow);
+
+        const findRecord = (key, id) => (recordsByKey.get(key) || []).find(row => row[RECORD_ID_FIELD] === id);
+        const describe = (key, target) => `${datasets[key].title}: ${describeRelatedRecord(target, datasets[key])}`;
+        const isReferenced = (key, id) => references.some(reference => reference.dataset === key && reference.id === id);
+        const addReference = (key, id) => {
+            if (!isReferenced(key, id)) references.push({ dataset: key, id });
+            render();
+        };
+
+        const render = () => {
+            content.innerHTML = '';
+            const list = document.createElement('ul');
+            list.className = 'related-list';
+            references.forEach((reference, index) => {
+                const item = document.createElement('li');
+                const target = findRecord(reference.dataset, reference.id);
+                item.textContent = target ? describe(reference.dataset, target) : `${reference.dataset}:${reference.id} (not found: deleted, or in an unknown dataset)`;
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.textContent = 'Remove';
+                removeButton.addEventListener('click', () => {
+                    references.splice(index, 1);
+                    render();
+                });
+                item.append(' ', removeButton);
+                list.appendChild(item);
+            });
+            if (references.length === 0) {
+                const item = document.createElement('li');
+                item.className = 'related-none';
+                item.textContent = 'None.';
+                list.appendChild(item);
+            }
+            content.appendChild(list);
+
+            const referring = [];
+            recordsByKey.forEach((records, key) => {
+                records.forEach(other => {
+                    if (other !== record && parseRelatedReferences(other).some(reference => reference.dataset === pageType && reference.id === record[RECORD_ID_FIELD])) {
+                        referring.push(describe(key, other));
+                    }
+                });
+            });
+            if (referring.length > 0) {
+                const note = document.createElement('p');
+                note.className = 'related-note';
+                note.textContent = `Referred to by: ${referring.join('; ')} (edit those records to change this).`;
+                content.appendChild(note);
+            }
+
+            const suggestions = [];
+            if (Object.keys(config.relatedBy).length > 0) {
+                otherKeys.filter(key => Object.keys(datasets[key].relatedBy).length > 0).forEach(key => {
+                    suggestRelatedRecords(record, config, recordsByKey.get(key), datasets[key]).forEach(target => {
+                        if (!isReferenced(key, target[RECORD_ID_FIELD])) suggestions.push({ key, target });
+                    });
+                });
+            }
+            if (suggestions.length > 0) {
+                const title = document.createElement('p');
+                title.className = 'related-note';
+                title.textContent = `Suggested (sharing words with its ${Object.keys(config.relatedBy).join(' or ')}):`;
+                const suggestionList = document.createElement('ul');
+                suggestionList.className = 'related-list';
+                suggestions.forEach(({ key, target }) => {
+                    const item = document.createElement('li');
+                    item.textContent = describe(key, target);
+                    const suggestionButton = document.createElement('button');
+                    suggestionButton.type = 'button';
+                    suggestionButton.textContent = 'Add';
+                    suggestionButton.addEventListener('click', () => addReference(key, target[RECORD_ID_FIELD]));
+                    item.append(' ', suggestionButton);
+                    suggestionList.appendChild(item);
+                });
+                content.append(title, suggestionList);
+            }
+        };
+
+        // The search box offers every record of the other datasets; the option ends with its reference in brackets.
+        addButton.addEventListener('click', () => {
+            const match = /\[([^\]\s:]+):([^\]\s]+)\]$/.exec(search.value.trim());
+            if (!recordsByKey || !match || !findRecord(match[1], match[2])) {
+                alert('Choose a record from the list that appears while you type.');
+                return;
+            }
+            addReference(match[1], match[2]);
+            search.value = '';
+        });
+        search.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                addButton.click();
+            }
+        });
+
+        Promise.all(Object.keys(datasets).map(async key => [key, await loadRelatedData(key)])).then(entries => {
+            recordsByKey = new Map(entries);
+            otherKeys.forEach(key => {
+                recordsByKey.get(key).forEach(target => {
+                    if (target[RECORD_ID_FIELD]) options.appendChild(new Option(`${describe(key, target)} [${key}:${target[RECORD_ID_FIELD]}]`));
+                });
+            });
+            render();
+        });
+
+        return {
+            element: field,
+            getValue: () => formatRelatedReferences(references),
+            isDirty: () => formatRelatedReferences(references) !== initial
+        };
+    }
+
+    /**
+     * Closes the record editor, asking first if there are changes that haven't been applied.
+     * @param {boolean} [force] Close without asking.
+     * @returns {boolean} True if it was closed.
+     */
+    function closeRecordEditor(force = false) {
+        if (!force && recordDialog.isDirty && recordDialog.isDirty() && !confirm('Discard the changes to this record?')) return false;
+        recordDialog.hidden = true;
+        recordDialog.innerHTML = '';
+        recordDialog.isDirty = null;
+        return true;
+    }
+
+    /** Returns true while one of the editor's dialogs is open; the table shortcuts wait until it is closed. */
+    function isDialogOpen() {
+        return [validationDialog, reviewDialog, draftDialog, mergeDialog, recordDialog, importDialog, duplicatesDialog, replaceDialog].some(dialog => !dialog.hidden);
+    }
+
+    // =================================================================================
+    // --- 13. SPREADSHEET IMPORT ---
+    // Imports an Excel or CSV file, or a Google Sheet published as CSV, straight into the editor, instead of
+    // converting it to JSON in the converter and pasting that over the whole data file. The spreadsheet's
+    // columns are matched to the page's headers by name, ignoring case. Its rows can be appended, can replace
+    // all records, or can be merged: each row is matched to an existing record (see `matchFields` in
+    // datasets.json) and shown as new, changed or identical, and every new or changed row can be accepted or
+    // rejected. The import is one step in the undo history.
+    // =================================================================================
+
+    /**
+     * Loads SheetJS (see SHEETJS_URL) if it isn't loaded yet.
+     * @returns {Promise<Object>} The `XLSX` object.
+     */
+    function loadSheetJs() {
+        if (window.XLSX) return Promise.resolve(window.XLSX);
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = SHEETJS_URL;
+            script.onload = () => (window.XLSX ? resolve(window.XLSX) : reject(new Error('SheetJS did not load.')));
+            script.onerror = () => {
+                script.remove(); // So the next attempt tries again.
+                reject(new Error(`Could not load ${SHEETJS_URL}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Reads the first sheet of a spreadsheet.
+     * @param {ArrayBuffer|string} data An Excel file, or the text of a CSV file.
+     * @returns {Promise<{columns: Array<string>, rows: Array<Object>}>} The column names and the rows (by column name).
+     */
+    async function readSpreadsheet(data) {
+        const XLSX = await loadSheetJs();
+        const workbook = XLSX.read(data, { type: typeof data === 'string' ? 'string' : 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) return { columns: [], rows: [] };
+        const columns = (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(column => String(column));
+        // raw: false gives the text as the sheet shows it, e.g. '7' rather than the number 7 in an 'Sno' column.
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+        return { columns, rows };
+    }
+
+    /**
+     * Turns spreadsheet rows into records with the page's fields, matching the column names case-insensitively.
+     * An 'id' column, if there is one, is only used to find the existing records (see matchImportedRecords).
+     * @param {Array<string>} columns The column names of the sheet.
+     * @param {Array<Object>} rows The rows, by column name.
+     * @returns {{records: Array<Object>, mapped: Array<string>, ignored: Array<string>, missing: Array<string>}}
+     *   The records (empty rows left out), the headers found in the sheet, and the columns and headers without a match.
+     */
+    function mapSpreadsheetRows(columns, rows) {
+        const fieldColumns = new Map(); // page field -> sheet column
+        [RECORD_ID_FIELD, ...columnHeaders].forEach(field => {
+            const column = columns.find(name => name.trim().toLowerCase() === field.toLowerCase());
+            if (column !== undefined) fieldColumns.set(field, column);
+        });
+        const records = rows.map(row => {
+            const record = {};
+            fieldColumns.forEach((column, field) => {
+                const value = row[column] === undefined || row[column] === null ? '' : String(row[column]);
+                // Spreadsheets keep line breaks inside a cell as '\n'; the data files use '\r\n'.
+                record[field] = value.replace(/\r\n|\r|\n/g, DEFAULT_LINE_ENDING);
+            });
+            return record;
+        }).filter(record => columnHeaders.some(header => String(record[header] || '').trim() !== ''));
+
+        const usedColumns = new Set(fieldColumns.values());
+        return {
+            records,
+            mapped: columnHeaders.filter(header => fieldColumns.has(header)),
+            ignored: columns.filter(column => !usedColumns.has(column)),
+            missing: columnHeaders.filter(header => !fieldColumns.has(header))
+        };
+    }
+
+    /**
+     * Matches imported records to the existing ones: by id when the sheet has an id column, otherwise by the
+     * first of the dataset's `matchFields` that has the same value (ignoring case and spacing).
+     * Each existing record is matched at most once.
+     * @param {Array<Object>} imported The records from mapSpreadsheetRows.
+     * @param {Array<string>} mapped The headers the sheet has; only those are compared.
+     * @returns {Array<{imported: Object, existing: Object|null, status: 'new'|'changed'|'identical', fields: Array<string>}>}
+     */
+    function matchImportedRecords(imported, mapped) {
+        const matchFields = config.matchFields.filter(field => mapped.includes(field));
+        const byId = new Map(currentData.map(record => [record[RECORD_ID_FIELD], record]));
+        const byField = matchFields.map(field => {
+            const index = new Map();
+            currentData.forEach(record => {
+                const key = normalizeValue(record[field]);
+                if (key !== '' && !index.has(key)) index.set(key, record);
+            });
+            return index;
+        });
+        const matched = new Set();
+
+        return imported.map(record => {
+            let existing = record[RECORD_ID_FIELD] ? byId.get(record[RECORD_ID_FIELD]) : undefined;
+            if (existing && matched.has(existing)) existing = undefined;
+            for (let i = 0; i < matchFields.length && !existing; i++) {
+                const candidate = byField[i].get(normalizeValue(record[matchFields[i]]));
+                if (candidate && !matched.has(candidate)) existing = candidate;
+            }
+            if (!existing) return { imported: record, existing: null, status: 'new', fields: [] };
+            matched.add(existing);
+            const fields = mapped.filter(header => fieldText(existing[header]) !== record[header]);
+            return { imported: record, existing, status: fields.length > 0 ? 'changed' : 'identical', fields };
+        });
+    }
+
+    /**
+     * Creates the record to insert for an imported row. A row that matched an existing record keeps that
+     * record's id (so permalinks keep working), its cross-references and, for the columns the sheet doesn't have, its values.
+     */
+    function createImportedRecord(match, mapped) {
+        const record = { [RECORD_ID_FIELD]: match.existing ? match.existing[RECORD_ID_FIELD] : generateRecordId() };
+        columnHeaders.forEach(header => {
+            if (mapped.includes(header)) record[header] = match.imported[header];
+            else record[header] = match.existing ? fieldText(match.existing[header]) : '';
+        });
+        // Spreadsheets don't carry the cross-references, so a matched record keeps its own.
+        if (match.existing && match.existing[RELATED_FIELD]) record[RELATED_FIELD] = match.existing[RELATED_FIELD];
+        return record;
+    }
+
+    /** Opens the import dialog at its first step: choosing the file or the Google Sheet. */
+    function openImportDialog() {
+        if (!isEditMode || isDialogOpen()) return;
+        commitVisibleEdits();
+        importDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = `Import a spreadsheet into ${config.dataFile}`;
+        const intro = document.createElement('p');
+        intro.textContent = `The first row must hold the column names: ${columnHeaders.join(', ')} (in any order and case; an 'id' column is used to recognise existing records).`;
+        box.append(title, intro);
+
+        const fileLabel = document.createElement('label');
+        fileLabel.className = 'import-source';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.xlsx, .xls, .csv';
+        fileLabel.append('Excel or CSV file: ', fileInput);
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            // CSV is read as text, so it is decoded as UTF-8 instead of leaving the guess to SheetJS.
+            const isCsv = /\.csv$/i.test(file.name);
+            await loadImportSource(file.name, isCsv ? await file.text() : await file.arrayBuffer());
+        });
+
+        const sheetLabel = document.createElement('label');
+        sheetLabel.className = 'import-source';
+        const urlInput = document.createElement('input');
+        urlInput.type = 'text';
+        urlInput.placeholder = 'https://docs.google.com/spreadsheets/d/e/.../pub?output=csv';
+        const loadButton = document.createElement('button');
+        loadButton.textContent = 'Load';
+        loadButton.addEventListener('click', async () => {
+            const url = urlInput.value.trim();
+            // The same check as the converter: only a "Publish to web" link in CSV format can be fetched.
+            if (!url.includes('/pub?') || !url.includes('output=csv')) {
+                alert('Please use the "Publish to web" link of the Google Sheet (File > Share > Publish to web), with "Comma-separated values (.csv)" selected.');
+                return;
+            }
+            loadButton.disabled = true;
+            try {
+                const response = await fetch(url, { cache: 'no-store' });
+                if (!response.ok) throw new Error(`Status: ${response.status}`);
+                await loadImportSource('the Google Sheet', await response.text());
+            } catch (error) {
+                console.error('Failed to fetch the Google Sheet:', error);
+                alert('Could not load the Google Sheet. Please check the link and the network connection, and that the sheet is still published.');
+            } finally {
+                loadButton.disabled = false;
+            }
+        });
+        sheetLabel.append('Published Google Sheet (CSV): ', urlInput, loadButton);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', closeImportDialog);
+        actions.appendChild(cancelButton);
+
+        box.append(fileLabel, sheetLabel, actions);
+        importDialog.appendChild(box);
+        importDialog.hidden = false;
+    }
+
+    /**
+     * Reads a spreadsheet and moves the import dialog on to the preview.
+     * @param {string} sourceName The file name (or 'the Google Sheet'), for the messages.
+     * @param {ArrayBuffer|string} data The content.
+     */
+    async function loadImportSource(sourceName, data) {
+        let sheet;
+        try {
+            sheet = await readSpreadsheet(data);
+        } catch (error) {
+            console.error('Failed to read the spreadsheet:', error);
+            alert(`Could not read ${sourceName}. ${window.XLSX ? 'Is it an Excel or CSV file?' : 'The SheetJS library could not be loaded; please check the internet connection.'}`);
+            return;
+        }
+        const result = mapSpreadsheetRows(sheet.columns, sheet.rows);
+        if (result.mapped.length === 0) {
+            alert(`None of the columns of ${sourceName} (${sheet.columns.join(', ') || 'none'}) match the fields of ${config.dataFile}: ${columnHeaders.join(', ')}.`);
+            return;
+        }
+        if (result.records.length === 0) {
+            alert(`${sourceName} has no rows to import.`);
+            return;
+        }
+        showImportPreview(sourceName, result);
+    }
+
+    /**
+     * Shows the second step of the import: the column mapping, the choice of mode and what it will do.
+     * @param {string} sourceName The file name, for the messages.
+     * @param {Object} result From mapSpreadsheetRows.
+     */
+    function showImportPreview(sourceName, result) {
+        const { records, mapped, ignored, missing } = result;
+        const matches = matchImportedRecords(records, mapped);
+        const counts = { new: 0, changed: 0, identical: 0 };
+        matches.forEach(match => { counts[match.status]++; });
+        const accepted = new Set(matches.filter(match => match.status !== 'identical'));
+
+        importDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = `Import ${records.length} row(s) from ${sourceName}`;
+        const mapping = document.createElement('p');
+        mapping.textContent = `Columns used: ${mapped.join(', ')}.`
+            + (missing.length > 0 ? ` Not in the sheet: ${missing.join(', ')}.` : '')
+            + (ignored.length > 0 ? ` Ignored columns: ${ignored.join(', ')}.` : '');
+        box.append(title, mapping);
+
+        const modes = document.createElement('div');
+        modes.className = 'merge-choice';
+        const modeLabels = {
+            merge: 'Merge with the existing records',
+            append: 'Append all rows',
+            replace: 'Replace all records'
+        };
+        Object.entries(modeLabels).forEach(([mode, text]) => {
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'import-mode';
+            radio.value = mode;
+            radio.checked = mode === 'merge';
+            radio.addEventListener('change', () => renderDetails(mode));
+            label.append(radio, ` ${text}`);
+            modes.appendChild(label);
+        });
+        const details = document.createElement('div');
+        box.append(modes, details);
+
+        let currentMode = 'merge';
+        function renderDetails(mode) {
+            currentMode = mode;
+            details.innerHTML = '';
+            const summary = document.createElement('p');
+            details.appendChild(summary);
+            if (mode === 'append') {
+                summary.textContent = `All ${records.length} row(s) will be added at the end as new records.`
+                    + (counts.changed + counts.identical > 0 ? ` ${counts.changed + counts.identical} of them match records that are already there; "Merge" avoids duplicating those.` : '');
+                return;
+            }
+            if (mode === 'replace') {
+                summary.textContent = `All ${currentData.length} record(s) will be replaced by the ${records.length} row(s) of the sheet.`
+                    + ` ${counts.changed + counts.identical} row(s) match an existing record and keep its id, so links to them keep working;`
+                    + ` ${currentData.length - counts.changed - counts.identical} record(s) that aren't in the sheet will be deleted.`;
+                return;
+            }
+            summary.textContent = `${counts.new} new, ${counts.changed} changed and ${counts.identical} identical row(s). `
+                + 'Records that aren\'t in the sheet are kept. Untick the rows you don\'t want.';
+            const selectAll = document.createElement('button');
+            selectAll.textContent = 'Accept all';
+            const selectNone = document.createElement('button');
+            selectNone.textContent = 'Reject all';
+            const setAll = checked => {
+                details.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                    if (checkbox.checked !== checked) checkbox.click();
+                });
+            };
+            selectAll.addEventListener('click', () => setAll(true));
+            selectNone.addEventListener('click', () => setAll(false));
+            if (counts.new + counts.changed > 0) summary.append(selectAll, selectNone);
+
+            matches.filter(match => match.status !== 'identical').forEach(match => {
+                const entry = document.createElement('div');
+                entry.className = `change-entry change-${match.status === 'new' ? 'added' : 'modified'}`;
+                const heading = document.createElement('label');
+                heading.className = 'change-heading';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = accepted.has(match);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) accepted.add(match);
+                    else accepted.delete(match);
+                });
+                const text = document.createElement('strong');
+                text.textContent = match.status === 'new'
+                    ? `NEW: ${describeRecord(match.imported)}`
+                    : `CHANGED: ${describeRecord(match.existing)} [${match.existing[RECORD_ID_FIELD]}]`;
+                heading.append(checkbox, text);
+                entry.appendChild(heading);
+                entry.appendChild(match.status === 'new'
+                    ? createDiffTable(mapped, null, match.imported)
+                    : createDiffTable(match.fields, match.existing, match.imported));
+                details.appendChild(entry);
+            });
+        }
+        renderDetails('merge');
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import';
+        importButton.addEventListener('click', () => {
+            const changes = buildImportChanges(currentMode, matches, mapped, accepted);
+            if (changes.length === 0) {
+                alert('There is nothing to import: every row is identical or rejected.');
+                return;
+            }
+            const label = currentMode === 'merge'
+                ? `Import ${sourceName} (merge)`
+                : `Import ${sourceName} (${currentMode})`;
+            if (!performEdit(label, changes)) return;
+            closeImportDialog();
+            // Show the result unfiltered, the way it is now.
+            document.querySelectorAll('.filter-input').forEach(input => { input.value = ''; });
+            currentPage = 1;
+            refreshAfterDataChange();
+        });
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Back';
+        backButton.addEventListener('click', () => {
+            closeImportDialog();
+            openImportDialog();
+        });
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', closeImportDialog);
+        actions.append(importButton, backButton, cancelButton);
+        box.appendChild(actions);
+        importDialog.appendChild(box);
+    }
+
+    /**
+     * Builds the history changes of an import.
+     * @param {'merge'|'append'|'replace'} mode The import mode.
+     * @param {Array<Object>} matches From matchImportedRecords.
+     * @param {Array<string>} mapped The headers the sheet has.
+     * @param {Set<Object>} accepted The matches accepted in the merge preview.
+     * @returns {Array<Object>} The changes, for performEdit.
+     */
+    function buildImportChanges(mode, matches, mapped, accepted) {
+        if (mode === 'append') {
+            return matches.map((match, i) => ({
+                type: 'insert',
+                record: createImportedRecord({ imported: match.imported, existing: null }, mapped),
+                index: currentData.length + i
+            }));
+        }
+        if (mode === 'replace') {
+            const removals = currentData.map(record => ({ type: 'remove', record }));
+            const inserts = matches.map((match, i) => ({ type: 'insert', record: createImportedRecord(match, mapped), index: i }));
+            return [...removals, ...inserts];
+        }
+        const changes = [];
+        let insertAt = currentData.length;
+        matches.filter(match => accepted.has(match)).forEach(match => {
+            if (match.status === 'new') {
+                changes.push({ type: 'insert', record: createImportedRecord(match, mapped), index: insertAt++ });
+            } else if (match.status === 'changed') {
+                match.fields.forEach(key => changes.push({ type: 'field', record: match.existing, key, after: match.imported[key] }));
+            }
+        });
+        return changes;
+    }
+
+    /** Closes the import dialog. */
+    function closeImportDialog() {
+        importDialog.hidden = true;
+        importDialog.innerHTML = '';
+    }
+
+    // =================================================================================
+    // --- 14. DUPLICATES REPORT ---
+    // Over the years the same command or explanation gets added more than once, with slightly different
+    // wording or vendor casing. The report groups records whose 'code' columns (see datasets.json) are the same
+    // once whitespace and case are ignored, or nearly the same (character trigram similarity), and records
+    // whose 'url' columns hold the same address. The records of a group are shown side by side; merging keeps
+    // one of them, with the field values you pick, and deletes the others, as one undoable step that is saved
+    // like any other edit. Groups marked "Not duplicates" are not shown again for that data file.
+    // =================================================================================
+
+    /**
+     * Normalizes a web address for comparison: the host in lowercase, without a trailing slash, the #fragment
+     * or tracking parameters (utm_...), so the same article shared twice gives the same key.
+     * @param {*} value The cell value.
+     * @returns {string} The normalized address ('' for an empty value).
+     */
+    function normalizeUrl(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        if (text === '') return '';
+        try {
+            const url = new URL(text);
+            url.hash = '';
+            Array.from(url.searchParams.keys())
+                .filter(key => key.toLowerCase().startsWith('utm_'))
+                .forEach(key => url.searchParams.delete(key));
+            return url.toString().replace(/\/(\?|$)/, '$1').toLowerCase();
+        } catch (error) {
+            return text.toLowerCase();
+        }
+    }
+
+    /** Returns the set of three-character sequences of a normalized text (the text itself if it is shorter). */
+    function trigrams(text) {
+        const result = new Set();
+        for (let i = 0; i + 3 <= text.length; i++) result.add(text.slice(i, i + 3));
+        if (result.size === 0 && text !== '') result.add(text);
+        return result;
+    }
+
+    /** The Dice similarity of two sets: 1 for identical sets, 0 for sets with nothing in common. */
+    function diceSimilarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let shared = 0;
+        small.forEach(item => { if (large.has(item)) shared++; });
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /**
+     * Finds the groups of duplicate records in `currentData`.
+     * @returns {Array<{records: Array<Object>, first: number, reasons: Array<string>, exact: boolean, key: string}>}
+     *   The groups, exact ones first. `records` are in file order (`first` is the position of the first one), `reasons`
+     *   describes why they were grouped, and `key` (the sorted ids) identifies the group for "Not duplicates".
+     */
+    function findDuplicateGroups() {
+        // Union-find over record positions: every duplicate pair joins two sets.
+        const parent = currentData.map((_, index) => index);
+        const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+        const pairs = []; // { a, b, reason, similarity } where similarity is null for the same value
+        const join = (a, b, reason, similarity) => {
+            pairs.push({ a, b, reason, similarity });
+            parent[find(a)] = find(b);
+        };
+
+        // 1. The same value, ignoring whitespace and case (code columns) or tracking parameters (url columns).
+        const exactFields = [
+            ...config.codeFields.map(field => ({ field, normalize: normalizeValue, reason: `same '${field}'` })),
+            ...(config.validation.urlFields || []).map(field => ({ field, normalize: normalizeUrl, reason: `same '${field}' address` }))
+        ];
+        exactFields.forEach(({ field, normalize, reason }) => {
+            const firstByValue = new Map();
+            currentData.forEach((record, index) => {
+                const key = normalize(record[field]);
+                if (key === '') return;
+                if (firstByValue.has(key)) join(firstByValue.get(key), index, reason, null);
+                else firstByValue.set(key, index);
+            });
+        });
+
+        // 2. Nearly the same text in the code columns. Only records that share an uncommon word are compared.
+        config.codeFields.forEach(field => {
+            const texts = currentData.map(record => normalizeValue(record[field]));
+            const postings = new Map(); // word -> positions of the records that contain it
+            texts.forEach((text, index) => {
+                if (text === '') return;
+                new Set(text.split(/[^a-z0-9$#@]+/).filter(word => word.length > 1)).forEach(word => {
+                    if (!postings.has(word)) postings.set(word, []);
+                    postings.get(word).push(index);
+                });
+            });
+            const candidates = new Set(); // a * n + b for each pair of positions a < b
+            postings.forEach(positions => {
+                if (positions.length < 2 || positions.length > DUPLICATE_COMMON_WORD_LIMIT) return;
+                for (let i = 0; i < positions.length; i++) {
+                    for (let j = i + 1; j < positions.length; j++) candidates.add(positions[i] * currentData.length + positions[j]);
+                }
+            });
+            const grams = new Map(); // position -> trigram set, built on first use
+            const gramsOf = index => {
+                if (!grams.has(index)) grams.set(index, trigrams(texts[index]));
+                return grams.get(index);
+            };
+            candidates.forEach(pair => {
+                const a = Math.floor(pair / currentData.length);
+                const b = pair % currentData.length;
+                if (texts[a] === texts[b]) return; // Already joined as the same value.
+                // Texts of very different length can't reach the threshold; skip them before building trigrams.
+                const shorter = Math.min(texts[a].length, texts[b].length);
+                const longer = Math.max(texts[a].length, texts[b].length);
+                if ((2 * shorter) / (shorter + longer) < DUPLICATE_SIMILARITY) return;
+                const similarity = diceSimilarity(gramsOf(a), gramsOf(b));
+                if (similarity >= DUPLICATE_SIMILARITY) join(a, b, `similar '${field}'`, similarity);
+            });
+        });
+
+        // Collect the groups, with the reasons their records were joined (and the lowest similarity of each).
+        const groups = new Map(); // root -> { positions: Set, reasons: Map(reason -> lowest similarity or null) }
+        pairs.forEach(({ a, b, reason, similarity }) => {
+            const root = find(a);
+            if (!groups.has(root)) groups.set(root, { positions: new Set(), reasons: new Map() });
+            const group = groups.get(root);
+            group.positions.add(a).add(b);
+            const lowest = group.reasons.has(reason) ? group.reasons.get(reason) : similarity;
+            group.reasons.set(reason, similarity === null ? lowest : Math.min(lowest, similarity));
+        });
+        return Array.from(groups.values())
+            .map(group => {
+                const positions = Array.from(group.positions).sort((a, b) => a - b);
+                const records = positions.map(index => currentData[index]);
+                return {
+                    records,
+                    first: positions[0],
+                    reasons: Array.from(group.reasons.entries()).map(([reason, lowest]) =>
+                        (lowest === null ? reason : `${reason} (${Math.floor(lowest * 100)}% or more alike)`)),
+                    exact: Array.from(group.reasons.values()).every(lowest => lowest === null),
+                    key: records.map(record => record[RECORD_ID_FIELD]).sort().join(',')
+                };
+            })
+            .sort((a, b) => (a.exact === b.exact ? a.first - b.first : a.exact ? -1 : 1));
+    }
+
+    /** Returns the keys of the groups marked "Not duplicates" for the current data file. */
+    function loadNotDuplicates() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(NOT_DUPLICATES_KEY_PREFIX + config.dataFile) || '[]'));
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    /** Remembers the keys of the groups marked "Not duplicates" for the current data file. */
+    function saveNotDuplicates(keys) {
+        try {
+            localStorage.setItem(NOT_DUPLICATES_KEY_PREFIX + config.dataFile, JSON.stringify(Array.from(keys)));
+        } catch (error) {
+            console.error('Could not remember the groups marked "Not duplicates":', error);
+        }
+    }
+
+    /** Opens the duplicates report for the current dataset. */
+    function openDuplicatesReport() {
+        if (!isEditMode || isDialogOpen()) return;
+        // The report compares the latest values, including anything typed into the table.
+        commitVisibleEdits();
+        if (config.codeFields.length === 0 && (config.validation.urlFields || []).length === 0) {
+            alert(`The ${config.title} dataset has no 'code' or 'url' columns (see datasets.json), so there is nothing to compare.`);
+            return;
+        }
+        renderDuplicatesReport(DUPLICATE_GROUPS_SHOWN);
+        duplicatesDialog.hidden = false;
+    }
+
+    /**
+     * Finds the duplicates again and draws the report, keeping the scroll position (e.g. after a merge).
+     * @param {number} shown How many groups to show.
+     */
+    function renderDuplicatesReport(shown) {
+        const previousBox = duplicatesDialog.querySelector('.modal');
+        const scrollTop = previousBox ? previousBox.scrollTop : 0;
+        const notDuplicates = loadNotDuplicates();
+        const groups = findDuplicateGroups().filter(group => !notDuplicates.has(group.key));
+
+        duplicatesDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = `Duplicates in ${config.dataFile}`;
+        const summary = document.createElement('p');
+        const exactCount = groups.filter(group => group.exact).length;
+        summary.textContent = (groups.length === 0
+            ? 'No duplicates found.'
+            : `${groups.length} group(s) of duplicates: ${exactCount} with the same value, ${groups.length - exactCount} nearly the same.`)
+            + (notDuplicates.size > 0 ? ` ${notDuplicates.size} group(s) marked "Not duplicates" are not shown.` : '');
+        box.append(title, summary);
+        if (groups.length > 0) {
+            const hint = document.createElement('p');
+            hint.textContent = 'For each group, pick the record to keep and, for every field, the value it should have. '
+                + 'Merging deletes the other records of the group (links to them stop working) and can be undone with Ctrl+Z.';
+            box.appendChild(hint);
+        }
+        groups.slice(0, shown).forEach((group, index) => box.appendChild(createDuplicateGroup(group, index + 1, shown)));
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        if (groups.length > shown) {
+            const moreButton = document.createElement('button');
+            moreButton.textContent = `Show more (${groups.length - shown} left)`;
+            moreButton.addEventListener('click', () => renderDuplicatesReport(shown + DUPLICATE_GROUPS_SHOWN));
+            actions.appendChild(moreButton);
+        }
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', closeDuplicatesReport);
+        actions.appendChild(closeButton);
+        box.appendChild(actions);
+        duplicatesDialog.appendChild(box);
+        box.scrollTop = scrollTop;
+    }
+
+    /**
+     * Creates the side-by-side view of one group, with the choices and the merge button.
+     * @param {Object} group A group from findDuplicateGroups.
+     * @param {number} number The number of the group in the report.
+     * @param {number} shown How many groups the report shows (kept when it is drawn again after a merge).
+     * @returns {HTMLElement} The block for the report.
+     */
+    function createDuplicateGroup(group, number, shown) {
+        const { records } = group;
+        let keptIndex = 0; // Which record survives the merge (and keeps its id).
+        const choices = new Map(); // header -> the record whose value the field gets
+        // By default a field keeps the kept record's value, or takes the first one that isn't empty.
+        const chooseDefaults = () => {
+            columnHeaders.forEach(header => {
+                const filled = records.findIndex(record => fieldText(record[header]).trim() !== '');
+                choices.set(header, fieldText(records[keptIndex][header]).trim() !== '' || filled === -1 ? keptIndex : filled);
+            });
+        };
+        chooseDefaults();
+
+        const entry = document.createElement('div');
+        entry.className = `change-entry duplicate-group ${group.exact ? 'change-deleted' : 'change-modified'}`;
+        const heading = document.createElement('div');
+        heading.className = 'change-heading';
+        const text = document.createElement('strong');
+        text.textContent = `Group ${number}: ${records.length} records, ${group.reasons.join(', ')}`;
+        heading.appendChild(text);
+        entry.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'diff-table duplicate-table';
+        const headRow = table.createTHead().insertRow();
+        const fieldHeading = document.createElement('th');
+        fieldHeading.textContent = 'Field';
+        headRow.appendChild(fieldHeading);
+        records.forEach((record, index) => {
+            const th = document.createElement('th');
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `duplicate-keep-${number}`;
+            radio.checked = index === keptIndex;
+            radio.addEventListener('change', () => {
+                keptIndex = index;
+                chooseDefaults();
+                table.querySelectorAll('tbody input[type="radio"]').forEach(choice => {
+                    choice.checked = choices.get(choice.dataset.header) === Number(choice.dataset.index);
+                });
+            });
+            label.append(radio, ` Keep [${record[RECORD_ID_FIELD]}], row ${currentData.indexOf(record) + 1}`);
+            th.appendChild(label);
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        columnHeaders.forEach((header, headerIndex) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = header;
+            const values = records.map(record => fieldText(record[header]));
+            // Rows where the records disagree are the ones that need a decision.
+            if (values.some(value => value !== values[0])) row.className = 'duplicate-differs';
+            values.forEach((value, index) => {
+                const cell = row.insertCell();
+                const label = document.createElement('label');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `duplicate-${number}-${headerIndex}`;
+                radio.dataset.header = header;
+                radio.dataset.index = index;
+                radio.checked = choices.get(header) === index;
+                radio.addEventListener('change', () => choices.set(header, index));
+                const pre = document.createElement('pre');
+                pre.textContent = value;
+                if (value === '') {
+                    pre.className = 'diff-missing';
+                    pre.textContent = '(empty)';
+                }
+                label.append(radio, pre);
+                cell.appendChild(label);
+            });
+        });
+        entry.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const mergeButton = document.createElement('button');
+        mergeButton.textContent = 'Merge into the kept record';
+        mergeButton.addEventListener('click', async () => {
+            const kept = records[keptIndex];
+            const merged = records.filter(record => record !== kept);
+            const changes = [];
+            columnHeaders.forEach(header => {
+                const chosen = records[choices.get(header)][header];
+                if (fieldText(chosen) !== fieldText(kept[header])) {
+                    changes.push({ type: 'field', record: kept, key: header, after: chosen });
+                }
+            });
+            const related = await mergeRelatedReferences(kept, merged);
+            if (related !== fieldText(kept[RELATED_FIELD])) {
+                changes.push({ type: 'field', record: kept, key: RELATED_FIELD, after: related === '' ? undefined : related });
+            }
+            merged.forEach(record => changes.push({ type: 'remove', record }));
+            if (!performEdit(`Merge ${records.length} duplicates into [${kept[RECORD_ID_FIELD]}]`, changes)) return;
+            refreshAfterDataChange();
+            renderDuplicatesReport(shown);
+        });
+        const notDuplicatesButton = document.createElement('button');
+        notDuplicatesButton.textContent = 'Not duplicates';
+        notDuplicatesButton.title = 'Hide this group from the report for good (for this data file, in this browser).';
+        notDuplicatesButton.addEventListener('click', () => {
+            const keys = loadNotDuplicates();
+            keys.add(group.key);
+            saveNotDuplicates(keys);
+            renderDuplicatesReport(shown);
+        });
+        actions.append(mergeButton, notDuplicatesButton);
+        entry.appendChild(actions);
+        return entry;
+    }
+
+    /**
+     * Works out the cross-references (RELATED_FIELD, see datasets.js) of the record a merge keeps: its own, those
+     * of the records merged into it and, for every record that refers to one of the merged records, a reference
+     * back to it. Their own reference points at nothing once the merged records are deleted, but as references
+     * work both ways, the one on the kept record keeps the two linked.
+     * @param {Object} kept The record that is kept.
+     * @param {Array<Object>} merged The records that are merged into it (and deleted).
+     * @returns {Promise<string>} The references of the kept record, as they are to be stored.
+     */
+    async function mergeRelatedReferences(kept, merged) {
+        const mergedIds = new Set(merged.map(record => record[RECORD_ID_FIELD]));
+        const groupIds = new Set([kept[RECORD_ID_FIELD], ...mergedIds]);
+        const references = [];
+        const add = (reference) => {
+            // A reference between records of the group would point the kept record at itself or at a deleted one.
+            if (reference.dataset === pageType && groupIds.has(reference.id)) return;
+            if (!references.some(other => other.dataset === reference.dataset && other.id === reference.id)) references.push(reference);
+        };
+        [kept, ...merged].forEach(record => parseRelatedReferences(record).forEach(add));
+
+        const keys = Object.keys(datasets);
+        const recordsByKey = await Promise.all(keys.map(key => loadRelatedData(key)));
+        keys.forEach((key, index) => {
+            recordsByKey[index].forEach(other => {
+                if (parseRelatedReferences(other).some(reference => reference.dataset === pageType && mergedIds.has(reference.id))) {
+                    add({ dataset: key, id: other[RECORD_ID_FIELD] });
+                }
+            });
+        });
+        return formatRelatedReferences(references);
+    }
+
+    /** Closes the duplicates report. */
+    function closeDuplicatesReport() {
+        duplicatesDialog.hidden = true;
+        duplicatesDialog.innerHTML = '';
+    }
+
+    // =================================================================================
+    // --- 15. LINK REPORT ---
+    // check-links.js checks every address in the data files and writes link-report.json. Loading that report
+    // here flags the rows that use a broken address (red) or one that has moved (amber), with the details in
+    // the row's tooltip, so they can be fixed. A flag disappears as soon as the record no longer contains the
+    // address. The report covers every dataset, so it stays loaded when switching datasets.
+    // =================================================================================
+
+    /** Lets the user pick a link report (a JSON file written by check-links.js) and loads it. */
+    function chooseLinkReport() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                loadLinkReport(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('Failed to load the link report:', error);
+                alert(`Could not load '${file.name}' as a link report: ${error.message}`);
+            }
+        });
+        input.click();
+    }
+
+    /**
+     * Keeps the problems of a link report, by data file and record id, and flags the rows.
+     * @param {Object} report The report: { generatedAt, links: [{ url, result, status, finalUrl, error, records: [{ dataFile, id }] }] }.
+     * @throws {Error} If it isn't a link report.
+     */
+    function loadLinkReport(report) {
+        if (!report || !Array.isArray(report.links)) {
+            throw new Error('it has no "links" list; create one with "node check-links.js".');
+        }
+        linkReport = {};
+        report.links.forEach(link => {
+            if (!LINK_BROKEN_RESULTS.includes(link.result) && !LINK_MOVED_RESULTS.includes(link.result)) return;
+            (link.records || []).forEach(use => {
+                if (!use.id) return; // Records without an id can't be found again.
+                const byId = linkReport[use.dataFile] || (linkReport[use.dataFile] = {});
+                (byId[use.id] || (byId[use.id] = [])).push(link);
+            });
+        });
+        linkReportDate = report.generatedAt || null;
+        showOnlyLinkProblems = false;
+
+        const flaggedCount = countLinkProblems();
+        const made = linkReportDate ? ` (checked ${new Date(linkReportDate).toLocaleString()})` : '';
+        alert(flaggedCount === 0
+            ? `The link report${made} flags no records of ${config.title}.`
+            : `The link report${made} flags ${flaggedCount} record(s) of ${config.title}: red for broken addresses, amber for moved ones. Hover over a row for the details.`);
+        renderHistoryPanel();
+        renderCurrentPage();
+    }
+
+    /**
+     * Returns the link report's entries for a record, leaving out the addresses it no longer contains.
+     * @param {Object} record The record.
+     * @returns {Array<Object>} The entries of the report for its addresses (empty without a report).
+     */
+    function getLinkProblems(record) {
+        const byId = linkReport && linkReport[config.dataFile];
+        const entries = byId && byId[record[RECORD_ID_FIELD]];
+        if (!entries) return [];
+        return entries.filter(link => columnHeaders.some(header => String(record[header] || '').includes(link.url)));
+    }
+
+    /** Counts the records of the current dataset that the link report flags. */
+    function countLinkProblems() {
+        return linkReport ? currentData.filter(record => getLinkProblems(record).length > 0).length : 0;
+    }
+
+    /**
+     * Marks a table row whose record uses a broken or moved address, with the details as its tooltip.
+     * @param {HTMLTableRowElement} row The row.
+     * @param {Object} record The record it shows.
+     */
+    function markLinkProblems(row, record) {
+        const problems = getLinkProblems(record);
+        if (problems.length === 0) return;
+        const broken = problems.some(link => LINK_BROKEN_RESULTS.includes(link.result));
+        row.classList.add(broken ? 'link-broken' : 'link-moved');
+        row.title = problems.map(link => (LINK_MOVED_RESULTS.includes(link.result)
+            ? `Moved: ${link.url} -> ${link.finalUrl}`
+            : `Broken: ${link.url} (${link.error || `HTTP ${link.status}`})`)).join('\n');
+    }
+
+    // =================================================================================
+    // --- 16. FIND AND REPLACE ---
+    // Changes many values at once, e.g. renaming a product ('ca7' -> 'CA 7') or re-typing every 'command' row to
+    // 'commands'. The search is limited to the chosen columns and to the selected rows or the rows that pass the
+    // current filters; it can match case and use a regular expression ($1, $2... in the replacement then refer to
+    // its groups). Every change is listed before anything is replaced, and the replacement is one undoable step.
+    // =================================================================================
+
+    /**
+     * Builds the regular expression for the find settings.
+     * @param {{find: string, matchCase: boolean, regex: boolean}} settings The settings of the dialog.
+     * @returns {RegExp} A global expression.
+     * @throws {SyntaxError} If the regular expression is invalid.
+     */
+    function buildReplacePattern(settings) {
+        const source = settings.regex ? settings.find : settings.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, settings.matchCase ? 'g' : 'gi');
+    }
+
+    /**
+     * Returns the records the find and replace looks at: the selection, or the rows that pass the filters (in the order shown).
+     * @param {'selection'|'filtered'} scope The choice in the dialog.
+     * @returns {Array<Object>} The records.
+     */
+    function getReplaceScope(scope) {
+        if (scope === 'selection') return currentData.filter(record => selectedRecords.has(record));
+        return filteredIndices.map(index => currentData[index]);
+    }
+
+    /**
+     * Works out every value the find and replace would change, without changing anything.
+     * @param {Object} settings The settings of the dialog: { find, replace, matchCase, regex, columns, scope }.
+     * @returns {Array<{record: Object, key: string, before: string, after: string, count: number}>} One entry per changed value.
+     * @throws {SyntaxError} If the regular expression is invalid.
+     */
+    function computeReplacements(settings) {
+        if (settings.find === '') return [];
+        const pattern = buildReplacePattern(settings);
+        // Without "Regular expression", '$' in the replacement is just a dollar sign (it is common in z/OS names).
+        const replacement = settings.regex ? settings.replace : () => settings.replace;
+        const replacements = [];
+        getReplaceScope(settings.scope).forEach(record => {
+            settings.columns.forEach(key => {
+                const before = fieldText(record[key]);
+                const count = (before.match(pattern) || []).length;
+                if (count === 0) return;
+                const after = before.replace(pattern, replacement);
+                if (after !== before) replacements.push({ record, key, before, after, count });
+            });
+        });
+        return replacements;
+    }
+
+    /** Opens the find and replace dialog, with the settings it had last time. */
+    function openReplaceDialog() {
+        if (!isEditMode || isDialogOpen()) return;
+        commitVisibleEdits();
+        const previous = replaceDialog.settings || {};
+        const settings = {
+            find: previous.find || '',
+            replace: previous.replace || '',
+            matchCase: Boolean(previous.matchCase),
+            regex: Boolean(previous.regex),
+            // Columns of another dataset are dropped; by default every column is searched.
+            columns: (previous.columns || []).filter(key => columnHeaders.includes(key)),
+            scope: selectedRecords.size > 0 ? 'selection' : 'filtered'
+        };
+        if (settings.columns.length === 0) settings.columns = columnHeaders.slice();
+        replaceDialog.settings = settings;
+
+        replaceDialog.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'modal';
+        const title = document.createElement('h2');
+        title.textContent = 'Find and replace';
+
+        // The preview follows the typing, after a short pause like the filters.
+        const debouncedPreview = debounce(renderReplacePreview, FILTER_DEBOUNCE_MS);
+        const textInput = (labelText, key) => {
+            const label = document.createElement('label');
+            label.className = 'replace-field';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = settings[key];
+            input.addEventListener('input', () => {
+                settings[key] = input.value;
+                debouncedPreview();
+            });
+            label.append(labelText, input);
+            return label;
+        };
+        const checkbox = (labelText, key) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = settings[key];
+            input.addEventListener('change', () => {
+                settings[key] = input.checked;
+                renderReplacePreview();
+            });
+            label.append(input, ` ${labelText}`);
+            return label;
+        };
+        const findField = textInput('Find: ', 'find');
+        const replaceField = textInput('Replace with: ', 'replace');
+        const options = document.createElement('div');
+        options.className = 'replace-options';
+        options.append(checkbox('Match case', 'matchCase'), checkbox('Regular expression ($1, $2... in the replacement are its groups)', 'regex'));
+
+        const columns = document.createElement('div');
+        columns.className = 'replace-options';
+        columns.append('In the columns: ');
+        columnHeaders.forEach(key => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = settings.columns.includes(key);
+            input.addEventListener('change', () => {
+                // Kept in the column order, whatever order they are ticked in.
+                settings.columns = columnHeaders.filter(header => header === key ? input.checked : settings.columns.includes(header));
+                renderReplacePreview();
+            });
+            label.append(input, ` ${key}`);
+            columns.appendChild(label);
+        });
+
+        const scope = document.createElement('div');
+        scope.className = 'replace-options';
+        scope.append('In the rows: ');
+        const hasFilters = filteredIndices.length !== currentData.length;
+        [['selection', `selected (${selectedRecords.size})`],
+            ['filtered', hasFilters ? `that pass the current filters (${filteredIndices.length} of ${currentData.length})` : `all (${currentData.length})`]]
+            .forEach(([value, text]) => {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = 'replace-scope';
+                input.value = value;
+                input.checked = settings.scope === value;
+                input.disabled = value === 'selection' && selectedRecords.size === 0;
+                input.addEventListener('change', () => {
+                    settings.scope = value;
+                    renderReplacePreview();
+                });
+                label.append(input, ` ${text}`);
+                scope.appendChild(label);
+            });
+
+        const summary = document.createElement('p');
+        summary.className = 'replace-summary';
+        const preview = document.createElement('div');
+        preview.className = 'replace-preview';
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', closeReplaceDialog);
+        const applyButton = document.createElement('button');
+        applyButton.className = 'replace-apply';
+        applyButton.addEventListener('click', applyReplacements);
+        actions.append(cancelButton, applyButton);
+
+        box.append(title, findField, replaceField, options, columns, scope, summary, preview, actions);
+        replaceDialog.appendChild(box);
+        replaceDialog.hidden = false;
+        renderReplacePreview();
+        findField.querySelector('input').focus();
+    }
+
+    /**
+     * Lists what the find and replace would change and enables the Replace button when there is something.
+     * The list shows the first REPLACE_PREVIEW_LIMIT values; the count covers all of them.
+     */
+    function renderReplacePreview() {
+        if (replaceDialog.hidden) return;
+        const settings = replaceDialog.settings;
+        const summary = replaceDialog.querySelector('.replace-summary');
+        const preview = replaceDialog.querySelector('.replace-preview');
+        const applyButton = replaceDialog.querySelector('.replace-apply');
+        preview.innerHTML = '';
+        summary.classList.remove('validation-error');
+
+        let replacements = [];
+        try {
+            replacements = computeReplacements(settings);
+        } catch (error) {
+            summary.classList.add('validation-error');
+            summary.textContent = `The regular expression is not valid: ${error.message}`;
+        }
+        replaceDialog.replacements = replacements;
+        applyButton.textContent = `Replace (${replacements.length})`;
+        applyButton.disabled = replacements.length === 0;
+        if (summary.classList.contains('validation-error')) return;
+
+        if (settings.find === '') {
+            summary.textContent = 'Type what to find.';
+            return;
+        }
+        const recordCount = new Set(replacements.map(entry => entry.record)).size;
+        const matchCount = replacements.reduce((total, entry) => total + entry.count, 0);
+        summary.textContent = replacements.length === 0
+            ? 'Nothing to replace.'
+            : `${matchCount} replacement(s) in ${replacements.length} value(s) of ${recordCount} record(s).`;
+
+        const pattern = buildReplacePattern(settings);
+        replacements.slice(0, REPLACE_PREVIEW_LIMIT).forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'change-entry change-modified';
+            const heading = document.createElement('div');
+            heading.className = 'change-heading';
+            heading.textContent = `${describeRecord(entry.record)} - ${entry.key}`;
+            const table = createDiffTable([entry.key], { [entry.key]: entry.before }, { [entry.key]: entry.after });
+            // Mark what was found in the old value.
+            const beforePre = table.querySelector('.diff-before');
+            beforePre.innerHTML = '';
+            let position = 0;
+            for (const match of entry.before.matchAll(pattern)) {
+                if (match[0] === '') continue;
+                beforePre.append(entry.before.slice(position, match.index));
+                const mark = document.createElement('mark');
+                mark.textContent = match[0];
+                beforePre.appendChild(mark);
+                position = match.index + match[0].length;
+            }
+            beforePre.append(entry.before.slice(position));
+            item.append(heading, table);
+            preview.appendChild(item);
+        });
+        if (replacements.length > REPLACE_PREVIEW_LIMIT) {
+            const more = document.createElement('p');
+            more.textContent = `... and ${replacements.length - REPLACE_PREVIEW_LIMIT} more value(s).`;
+            preview.appendChild(more);
+        }
+    }
+
+    /** Replaces the values listed in the preview, as one undoable step. */
+    function applyReplacements() {
+        const replacements = replaceDialog.replacements || [];
+        const settings = replaceDialog.settings;
+        const changes = replacements.map(entry => ({ type: 'field', record: entry.record, key: entry.key, after: entry.after }));
+        if (!performEdit(`Replace '${settings.find}' with '${settings.replace}' in ${changes.length} value(s)`, changes)) return;
+        closeReplaceDialog();
+        refreshAfterDataChange();
+    }
+
+    /** Closes the find and replace dialog; its settings are kept for the next time. */
+    function closeReplaceDialog() {
+        replaceDialog.hidden = true;
+        replaceDialog.innerHTML = '';
+        replaceDialog.replacements = null;
+    }
+
+    // =================================================================================
+    // --- 17. INITIALIZATION AND EVENT LISTENERS ---
+    // =================================================================================
+
+    /** Main function to load data and render the table based on dropdown selection. */
+    async function initializePage() {
+        // A pending autosave belongs to the dataset being left; write it before `config` changes.
+        if (config) flushDraftSave();
+        pageType = pageSelector.value;
+        config = datasets[pageType];
+
+        // Load the data and set the global state for the selected page.
+        const loaded = await loadDataFromFile(config.dataFile);
+        currentData = loaded.records;
+        baseRevision = loaded.revision;
+        columnHeaders = config.headers;
+        // Keep the file exactly as loaded (before any ids are added) so the review and patch describe every change.
+        baselineData = cloneRecords(currentData);
+        assignMissingRecordIds();
+        baselineIds = currentData.map(row => row[RECORD_ID_FIELD]);
+        savedData = cloneRecords(baselineData);
+        savedIds = baselineIds.slice();
+
+        isEditMode = false;
+        clearSelection();
+        sortKeys = []; // Each dataset has its own columns, so start in file order.
+        showOnlyLinkProblems = false;
+        relatedDataCache = new Map(); // The dataset we came from may have been saved since.
+        blockSaveOnErrors = !config.validation || config.validation.blockSaveOnErrors !== false;
+        closeValidationReport();
+        closeChangeReview();
+        closeMergeDialog();
+        clearHistory();
+        renderHistoryPanel();
+        searchIndex = buildSearchIndex();
+        filteredIndices = currentData.map((_, index) => index);
+        currentPage = 1;
+
+        // Render the table with the new data.
+        renderTableHeaders();
+        renderCurrentPage();
+        closeDraftDialog();
+        offerDraftRestore();
+    }
+
+    // --- Dropdown Menu Logic ---
+    const dropdownButton = document.getElementById('dropdown-button');
+    const dropdownContent = document.getElementById('dropdown-content');
+
+    /** Fills the hidden page selector and the three-dots menu with one entry per dataset of the manifest. */
+    function renderDatasetMenu() {
+        pageSelector.innerHTML = '';
+        if (dropdownContent) dropdownContent.innerHTML = '';
+        Object.values(datasets).forEach(dataset => {
+            pageSelector.add(new Option(dataset.title, dataset.key));
+            if (!dropdownContent) return;
+            const link = document.createElement('a');
+            link.href = '#';
+            link.dataset.value = dataset.key;
+            link.textContent = dataset.title;
+            dropdownContent.appendChild(link);
+        });
+    }
+
+    if (dropdownButton) {
+        // When the three-dots button is clicked, toggle the 'show' class on the menu content.
+        dropdownButton.addEventListener('click', () => {
+            dropdownContent.classList.toggle('show');
+        });
+
+        // Add a global click listener to close the dropdown if the user clicks anywhere else on the page.
+        window.addEventListener('click', (event) => {
+            if (!dropdownButton.contains(event.target)) {
+                if (dropdownContent.classList.contains('show')) {
+                    dropdownContent.classList.remove('show');
+                }
+            }
+        });
+
+        // Handle clicks on the dropdown menu items to change the data source.
+        dropdownContent.addEventListener('click', (event) => {
+            if (event.target.tagName === 'A' && event.target.dataset.value) {
+                event.preventDefault(); // Prevent navigation
+                // Even choosing the same dataset reloads the file, so unsaved changes are always checked.
+                if (!confirmLeavingUnsavedChanges()) {
+                    dropdownContent.classList.remove('show');
+                    return;
+                }
+                pageSelector.value = event.target.dataset.value;
+                // Manually trigger the 'change' event on the hidden select to run initializePage
+                pageSelector.dispatchEvent(new Event('change'));
+                dropdownContent.classList.remove('show'); // Hide dropdown after selection
+            }
+        });
+    }
+
+    // Listen for changes on the hidden <select> element to trigger a page reload.
+    pageSelector.addEventListener('change', initializePage);
+
+    // Save the draft and warn before the tab is closed or reloaded with unsaved changes.
+    window.addEventListener('beforeunload', (event) => {
+        if (!config) return;
+        commitVisibleEdits();
+        flushDraftSave();
+        if (hasUnsavedChanges()) {
+            event.preventDefault();
+            event.returnValue = ''; // Older browsers only show the prompt when this is set.
+        }
+    });
+
+    // Add custom Tab key navigation for a spreadsheet-like editing experience.
+    tableBody.addEventListener('keydown', function(event) {
+        // Enter would put <div>/<br> elements into the cell, whose line breaks get lost; edit the record in the form instead.
+        if (event.key === 'Enter' && isEditMode && document.activeElement && document.activeElement.tagName === 'TD') {
+            event.preventDefault();
+            const cell = document.activeElement;
+            openRecordEditor(renderedRecords.get(cell.parentElement), columnHeaders[cell.cellIndex]);
+            return;
+        }
+        if (event.key !== 'Tab' || !isEditMode) return;
+        event.preventDefault(); // Prevent the default tab behavior (moving to the next browser element).
+        const activeCell = document.activeElement;
+        if (!activeCell || activeCell.tagName !== 'TD') return;
+
+        // Get all editable cells and figure out the next one to focus on.
+        const allCells = Array.from(tableBody.querySelectorAll('td'));
+        const currentIndex = allCells.indexOf(activeCell);
+        const nextIndex = event.shiftKey ? currentIndex - 1 : currentIndex + 1;
+
+        // If the next cell exists, focus it.
+        if (nextIndex >= 0 && nextIndex < allCells.length) {
+            allCells[nextIndex].focus();
+        }
+    });
+
+    // Commit a cell as soon as it loses focus, so every edited cell is its own step in the undo history.
+    tableBody.addEventListener('focusout', () => commitVisibleEdits());
+
+    // Hiding the JCL sequence numbers only changes how view mode shows the data; the records keep them.
+    if (stripSequenceInput) {
+        stripSequenceInput.addEventListener('change', () => {
+            stripSequenceNumbers = stripSequenceInput.checked;
+            renderCurrentPage();
+        });
+    }
+
+    // Add a global keyboard event listener for function keys.
+    document.addEventListener('keydown', function(event) {
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac) replace the browser's own undo inside a cell while editing.
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            // Inside a dialog (e.g. the record editor's fields) the browser's own undo applies.
+            if (!isEditMode || isDialogOpen()) return;
+            event.preventDefault();
+            if (event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+            return;
+        }
+        switch (event.key) {
+            case 'F6':
+                event.preventDefault();
+                handleF6();
+                break;
+            case 'Escape':
+                event.preventDefault();
+                handleEscape();
+                break;
             case 'F7':
                 event.preventDefault();
                 handleF7();
@@ -414,7 +3899,17 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
-    // Perform the initial page load.
-    initializePage();
+    // Load the dataset manifest and find out whether server.js serves the page (then saving goes to the server),
+    // then fill the dataset menu and perform the initial page load (edit.html?dataset=<key> opens that dataset).
+    Promise.all([loadDatasetManifest(), detectSaveServer()]).then(([loadedDatasets, server]) => {
+        datasets = loadedDatasets;
+        saveServer = server;
+        renderDatasetMenu();
+        pageSelector.value = getRequestedDatasetKey(datasets);
+        initializePage();
+    }).catch(error => {
+        console.error('Failed to load the dataset manifest:', error);
+        alert(`Could not load the list of datasets (${error.message}). The editor cannot be used.`);
+    });
 });
 
@@ -2,6 +2,7 @@
  * This is the PUBLIC script file for the website. It handles all dynamic functionality
  * for the public-facing pages, including loading data and filtering.
  * It is designed to be read-only and contains NO editing functionality.
+ * The table helpers it shares with the editor are in table-helpers.js, which the pages load first.
  */
 
 // The 'DOMContentLoaded' event fires when the initial HTML document has been completely loaded and parsed.
@@ -9,24 +10,62 @@ document.addEventListener('DOMContentLoaded', async function() {
 
     // =================================================================================
     // --- CONFIGURATION ---
-    // This object holds all the specific settings for each page.
+    // The datasets (data file, columns, validation rules, facets and search weights) are described in
+    // datasets.json and loaded through datasets.js. The ?dataset=<key> query parameter, or else the page's
+    // own data-dataset attribute, picks the one this page shows.
     // =================================================================================
-    const pageConfigs = {
-        home: {
-            htmlFile: 'zosinfo.html',
-            dataFile: 'zosinfo-data.json',
-            headers: ['Vendor', 'component/product', 'type', 'info']
-        },
-        linkedin: {
-            htmlFile: 'linkedin.html',
-            dataFile: 'linkedin-data.json',
-            headers: ['Sno', 'topic', 'link']
-        }
-    };
-
-    // Determine which configuration to use by checking the current page's URL.
-    const pageType = window.location.pathname.includes(pageConfigs.linkedin.htmlFile) ? 'linkedin' : 'home';
-    const config = pageConfigs[pageType];
+    let datasets;
+    try {
+        datasets = await loadDatasetManifest();
+    } catch (error) {
+        console.error('Failed to load the dataset manifest:', error);
+        alert(`Could not load the list of datasets (${error.message}). The page cannot be shown.`);
+        return;
+    }
+
+    // The choices offered by the page-size selector below the table. 0 stands for "All".
+    const PAGE_SIZE_OPTIONS = [50, 100, 250, 500, 0];
+
+    // How long to wait after the last keystroke before filtering, so fast typing doesn't stall the page.
+    const FILTER_DEBOUNCE_MS = 200;
+
+    // How many values each facet lists before the "Show all" button is needed.
+    const FACET_VALUE_LIMIT = 15;
+
+    // SheetJS, the same build the converter uses. It is only needed for the Excel export,
+    // so it is loaded the first time someone asks for one instead of with every page view.
+    const SHEETJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+
+    // Determine which dataset to show from the URL (see getRequestedDatasetKey in datasets.js).
+    const pageType = getRequestedDatasetKey(datasets);
+    const config = datasets[pageType];
+
+    // The localStorage key under which this page remembers its filters, search and sort order.
+    const VIEW_STATE_KEY = `zosinfo-view:${config.htmlFile}`;
+
+    // service-worker.js keeps a copy of the pages and the data files on this device, so the site works offline.
+    // Every copy it stores carries the time it was fetched in this header.
+    const SERVICE_WORKER_FILE = 'service-worker.js';
+    const CACHED_AT_HEADER = 'X-Cached-At';
+
+    // Every record carries a stable, random identifier in this field (it is not shown as a column).
+    // Permalinks point at it, so it must never change once a record has been saved.
+    const RECORD_ID_FIELD = 'id';
+
+    // The operator (console), JES2 and TSO commands most zosinfo records start with, e.g. 'D OMVS,O' or '$S XEQ'.
+    // A leading '/' is the console prefix used from SDSF.
+    const COMMAND_VERB_PATTERN = /^(?:\/\S|\$[A-Za-z]|(?:D|DISPLAY|F|MODIFY|P|STOP|S|START|V|VARY|C|CANCEL|K|Z|SET|SETPROG|SETSMS|SETXCF|SETR|SETROPTS|SLIP|DUMP|TRACE|ROUTE|RO|TSO|CMDS|LISTCAT|LISTC|LISTDS|RACDCERT|PERMIT|RDEFINE|RALTER|ALTUSER|ADDUSER|LISTUSER|HSEND|ADDRESS)$)/i;
+
+    // z/OS message IDs and abend codes are recognised in the text, shown as chips and listed by the lookup view
+    // (see findCodes). A message ID is a three-letter component prefix, up to two more characters, a 3-5 digit
+    // number and a severity letter (IEF450I, IKJ56228I, BPXP005I, EQQZ015I); JES2 messages are $HASP and a number.
+    // A system abend is S and three hex digits, at least one of them a decimal digit so that words like 'SAFE'
+    // don't count (S0C4, S806, SB37); a user abend is U and four digits (U4038). The data writes them in capitals.
+    const CODE_PATTERN_SOURCE = '(\\$?HASP\\d{3,4})|([A-Z]{3}[A-Z0-9]{0,2}?\\d{3,5}[ADEISWT])|(S(?=[0-9A-F]{0,2}\\d)[0-9A-F]{3})|(U\\d{4})';
+    const CODE_PATTERN = new RegExp(`(?<![\\w$#@])(?:${CODE_PATTERN_SOURCE})(?![\\w$#@])`, 'g');
+    // A search for just one code, in any case ('s0c4'), opens the lookup view instead of a text search, if the data
+    // mentions that code (see handleSearchInput); 's390' looks like an abend code but is a search for the machine.
+    const SEARCH_CODE_PATTERN = new RegExp(`^\\s*(?:${CODE_PATTERN_SOURCE})\\s*$`, 'i');
 
     // =================================================================================
     // --- 2. DATA LOADING & STATE ---
@@ -43,22 +82,99 @@ document.addEventListener('DOMContentLoaded', async function() {
             if (!response.ok) {
                 throw new Error(`Could not find or load ${dataFile}. Status: ${response.status}`);
             }
+            // Only set when the service worker answered from the copy saved on this device.
+            dataCachedAt = response.headers.get(CACHED_AT_HEADER);
             return await response.json();
         } catch (error) {
-            // If the data file fails to load, log the error and show an alert to the user.
             console.error('Failed to load data from file:', error);
+            if (error.name === 'TypeError' && !navigator.onLine) {
+                // Offline, and the data was never saved on this device: the status banner explains it (see showDataStatus).
+                isOffline = true;
+                dataUnavailableOffline = true;
+                return [];
+            }
+            // If the data file fails to load, show an alert to the user.
             alert(`Could not load data from '${dataFile}'. Please ensure the file exists and is accessible. The application may not work correctly.`);
             return []; // Return an empty array to prevent further errors.
         }
     }
 
+    /**
+     * Builds the search index for the loaded data. Lowercasing ~1,900 long 'info' values on
+     * every keystroke is what made filtering slow, so it is done once here instead.
+     * Entry `i` belongs to `currentData[i]` and holds, for each column (in header order):
+     *   - `text`:  the lowercase cell value.
+     *   - `words`: the unique words of the cell, used by the typo-tolerant global search.
+     * @returns {Array<Array<{text: string, words: Array<string>}>>} The index, aligned with `currentData`.
+     */
+    function buildSearchIndex() {
+        return currentData.map(row => columnHeaders.map(header => {
+            const text = String(row[header] === undefined || row[header] === null ? '' : row[header]).toLowerCase();
+            const words = [...new Set(text.split(/[^a-z0-9$#@]+/).filter(word => word !== ''))];
+            return { text, words };
+        }));
+    }
+
+    /**
+     * Finds the message IDs and abend codes in the data, for the lookup view. Links are skipped:
+     * a code in a URL is part of an address, not something the record is about.
+     * @returns {Map<string, Array<number>>} Each code -> the indices of the records that mention it, in file order.
+     */
+    function buildCodeIndex() {
+        const index = new Map();
+        currentData.forEach((row, rowIndex) => {
+            const codes = new Set();
+            columnHeaders.forEach(header => {
+                const value = String(row[header] === undefined || row[header] === null ? '' : row[header]);
+                if (value.startsWith('http://') || value.startsWith('https://')) return;
+                findCodes(value).forEach(found => codes.add(found.code));
+            });
+            codes.forEach(code => {
+                if (!index.has(code)) index.set(code, []);
+                index.get(code).push(rowIndex);
+            });
+        });
+        return index;
+    }
+
+    // The offline state of the data, shown by showDataStatus. The service worker can report a newer data file
+    // while the page is still loading, so these exist (and are listened for) before the data is loaded.
+    let dataCachedAt = null; // When the loaded copy was saved on this device, as an ISO date (null if it came from the network).
+    let isOffline = !navigator.onLine; // Whether the network can't be reached.
+    let dataUnavailableOffline = false; // Whether there is no data because we are offline and no copy is saved.
+    let newDataAvailable = false; // Whether a newer data file was downloaded in the background.
+    listenForDataUpdates();
+
     // Global state variables for the application.
     let currentData = await loadDataFromFile(config.dataFile);
     let columnHeaders = config.headers;
+    let searchIndex = buildSearchIndex(); // Precomputed lowercase values, see buildSearchIndex().
+    let facetIndex = buildFacetIndex(); // The facet bucket of every row, see buildFacetIndex().
+    let codeIndex = buildCodeIndex(); // The message IDs and abend codes in the data: code -> indices of the records mentioning it.
+    let lookupCode = null; // The code shown in the lookup view, or null while the table is shown.
+    let dismissedLookupCode = null; // A code typed into the search whose lookup was closed, so the search shows the table.
+    let facetSelections = {}; // The ticked facet values: header -> Set of facet keys.
+    let expandedFacets = new Set(); // The facets whose full value list is shown.
+    let highlightTerms = new Map(); // Row index -> the words the global search matched in that row, highlighted when it is rendered.
+    let filteredIndices = currentData.map((_, index) => index); // Indices into `currentData` of the rows that pass the filters, in display order.
+    let currentPage = 1; // The page of `filteredIndices` currently shown (1-based).
+    let pageSize = PAGE_SIZE_OPTIONS[1]; // How many rows are rendered per page (0 means all rows).
+    let sortKeys = []; // The active sort columns, most significant first: [{ header, direction: 'asc'|'desc' }].
+    let linkedRecordId = null; // The record opened through a permalink, highlighted until the filters change.
+    let expandedRecordIds = new Set(); // The records whose row is expanded to show their related records.
+    const relatedDataCache = new Map(); // Dataset key -> promise of its records, loaded for the "Related" sections.
+    let stripSequenceNumbers = false; // Whether JCL is shown without the sequence numbers in columns 73-80.
 
     // Get references to the main HTML elements the script will manipulate.
     const tableHead = document.querySelector('#data-table thead');
     const tableBody = document.querySelector('#data-table tbody');
+    const globalSearchInput = document.getElementById('global-search');
+    const paginationBar = document.getElementById('pagination-bar');
+    const facetPanel = document.getElementById('facet-panel');
+    const stripSequenceInput = document.getElementById('strip-sequence-numbers');
+    const lookupView = document.getElementById('lookup-view');
+    // What the lookup view replaces: the table, with the facet panel where the page has one.
+    const tableArea = document.querySelector('.content-layout') || document.querySelector('.table-container');
 
     // =================================================================================
     // --- 3. TABLE RENDERING LOGIC ---
@@ -74,8 +190,9 @@ document.addEventListener('DOMContentLoaded', async function() {
             const input = document.createElement('input');
             input.type = 'text';
             input.className = 'filter-input';
-            // The 'keyup' event triggers the filter function every time the user types.
-            input.addEventListener('keyup', filterTable); 
+            input.title = FILTER_SYNTAX_HELP;
+            // The 'input' event triggers the (debounced) filter function every time the user types or pastes.
+            input.addEventListener('input', debouncedFilterTable);
             cell.appendChild(input);
             filterRow.appendChild(cell);
         });
@@ -85,17 +202,25 @@ document.addEventListener('DOMContentLoaded', async function() {
         columnHeaders.forEach(headerText => {
             // Create the actual header cell with the column title.
             const header = document.createElement('th');
+            header.className = 'sortable-header';
+            header.title = 'Click to sort. Shift-click to add a secondary sort column.';
             header.textContent = headerText;
+            // An empty span that shows the sort arrow for this column.
+            const indicator = document.createElement('span');
+            indicator.className = 'sort-indicator';
+            header.appendChild(indicator);
+            header.addEventListener('click', (event) => handleSortClick(headerText, event.shiftKey));
             headerRow.appendChild(header);
         });
         tableHead.appendChild(headerRow);
+        updateSortIndicators();
     }
 
     /**
      * Formats the content of a table cell.
      * This function intelligently decides how to display the cell's value.
      * - If it's a URL, it creates a clickable link.
-     * - If it looks like JCL, it formats it with preserved line breaks.
+     * - If it contains JCL, REXX or shell code, it shows every line with syntax highlighting.
      * - Otherwise, it's treated as plain text.
      * @param {HTMLElement} cell The table cell (<td>) element to populate.
      * @param {string} cellValue The string value for the cell.
@@ -114,90 +239,1557 @@ document.addEventListener('DOMContentLoaded', async function() {
             return;
         }
 
-        // Priority 2: Check for JCL-like content to format it nicely.
-        // We'll consider any multi-line text containing '//' as JCL-like.
-        if (value.includes('//') && value.includes('\n')) {
-            const lines = value.split(/[\r\n]+/);
-            const content = lines
-                .map(line => { // Process each line of the JCL-like text.
-                    // Per user request, ignore lines that start with '// '
-                    if (line.trim().startsWith('// ')) {
-                        return null;
-                    }
-                    return line;
-                })
-                .filter(line => line !== null)
-                .join('\n'); // Re-join the lines that were not filtered out.
-
-            // Use a <pre> tag to preserve line breaks and spacing.
-            const pre = document.createElement('pre'); 
-            pre.style.margin = '0';
-            pre.style.fontFamily = 'inherit';
-            pre.style.fontSize = 'inherit';
-            pre.style.whiteSpace = 'pre-wrap';
-            pre.style.wordWrap = 'break-word';
-            pre.textContent = content;
-            cell.appendChild(pre);
+        // Priority 2: Code (JCL, a REXX exec or a USS shell snippet) keeps all its lines and gets highlighted.
+        // The message IDs and abend codes it mentions are listed as chips below it.
+        const language = detectCodeLanguage(value);
+        if (language) {
+            cell.appendChild(renderCodeBlock(value, language, { stripSequenceNumbers }));
+            const codes = [...new Set(findCodes(value).map(found => found.code))];
+            if (codes.length > 0) {
+                const chips = document.createElement('div');
+                chips.className = 'code-chips';
+                codes.forEach(code => chips.appendChild(createCodeChip(code, code)));
+                cell.appendChild(chips);
+            }
             return;
         }
 
-        // Default: If it's not a URL or JCL, display as plain text.
-        cell.textContent = value;
+        // Default: If it's not a URL or code, display as plain text, with the message IDs and abend codes as chips.
+        let position = 0;
+        findCodes(value).forEach(found => {
+            cell.appendChild(document.createTextNode(value.slice(position, found.index)));
+            cell.appendChild(createCodeChip(found.code, found.text));
+            position = found.index + found.text.length;
+        });
+        cell.appendChild(document.createTextNode(value.slice(position)));
+    }
+
+    /**
+     * Finds the message IDs and abend codes in a text (see CODE_PATTERN).
+     * @param {string} text The text.
+     * @returns {Array<{code: string, text: string, index: number}>} Each occurrence: the code as it is looked up
+     *          ('HASP373' becomes '$HASP373'), the text as written and where it starts.
+     */
+    function findCodes(text) {
+        return Array.from(String(text).matchAll(CODE_PATTERN), match => ({ code: normalizeCode(match[0]), text: match[0], index: match.index }));
+    }
+
+    /** Writes a code the way it is looked up: in capitals, and JES2 messages with their '$'. */
+    function normalizeCode(code) {
+        const upper = code.trim().toUpperCase();
+        return upper.startsWith('HASP') ? `$${upper}` : upper;
+    }
+
+    /**
+     * Returns the code a search is for, if the search is just one message ID or abend code.
+     * @param {string} query The text of the search box.
+     * @returns {string|null} The code, or null for any other search.
+     */
+    function recognizeSearchCode(query) {
+        return SEARCH_CODE_PATTERN.test(query) ? normalizeCode(query) : null;
     }
 
-    /** Renders the table body with data, applying special formatting where needed. */
-    function renderTableBody(data) {
+    /** Says what kind of code a code is, for the lookup view. */
+    function describeCode(code) {
+        if (/^S[0-9A-F]{3}$/.test(code)) return 'system abend code';
+        if (/^U\d{4}$/.test(code)) return 'user abend code';
+        return 'message ID';
+    }
+
+    /**
+     * Creates the chip for a message ID or abend code: a link that opens the lookup view (#code=...).
+     * @param {string} code The code.
+     * @param {string} text The text shown, as written in the record.
+     * @returns {HTMLAnchorElement} The chip.
+     */
+    function createCodeChip(code, text) {
+        const chip = document.createElement('a');
+        chip.className = 'code-chip';
+        chip.href = `#code=${encodeURIComponent(code)}`;
+        chip.title = `Every record that mentions ${code}`;
+        chip.textContent = text;
+        return chip;
+    }
+
+    /**
+     * Renders the table body, applying special formatting where needed.
+     * @param {Array<number>} rowIndices Indices into `currentData` of the rows to render, in display order.
+     */
+    function renderTableBody(rowIndices) {
         tableBody.innerHTML = '';
-        // Iterate over the provided data (which might be the full dataset or a filtered subset).
-        data.forEach((rowData) => {
-            // Find the original index of the row from the master `currentData` array.
-            // This is important for maintaining consistency, especially in the editor.
-            const originalIndex = currentData.indexOf(rowData);
-            if (originalIndex === -1) return;
+        // Build the rows off-screen and attach them in one go to avoid repeated layout work.
+        const fragment = document.createDocumentFragment();
+        rowIndices.forEach((originalIndex) => {
+            const row = createRecordRow(originalIndex, highlightTerms.get(originalIndex) || []);
+            const recordId = currentData[originalIndex][RECORD_ID_FIELD];
+            if (recordId) {
+                // Clicking a row expands it to show the records of the other datasets related to it.
+                row.classList.add('expandable');
+                row.title = 'Click to show the related records';
+                row.addEventListener('click', (event) => toggleRelatedRow(row, originalIndex, event));
+            }
+            fragment.appendChild(row);
+            if (recordId && expandedRecordIds.has(recordId)) {
+                row.classList.add('expanded');
+                fragment.appendChild(createRelatedRow(originalIndex));
+            }
+        });
+        tableBody.appendChild(fragment);
+    }
 
-            const row = document.createElement('tr');
-            row.dataset.originalIndex = originalIndex;
+    /**
+     * Creates the table row of a record, as the table and the lookup view show it.
+     * @param {number} originalIndex The index of the record in `currentData`.
+     * @param {Array<string>} terms The words to highlight (the ones matched in this record).
+     * @returns {HTMLTableRowElement} The row.
+     */
+    function createRecordRow(originalIndex, terms) {
+        const rowData = currentData[originalIndex];
+        const highlightPattern = buildHighlightPattern(terms);
+        const row = document.createElement('tr');
+        // Keep the index of the row in the master `currentData` array for consistency with the editor.
+        row.dataset.originalIndex = originalIndex;
+        const recordId = rowData[RECORD_ID_FIELD];
+        if (recordId) {
+            row.dataset.recordId = recordId;
+            if (recordId === linkedRecordId) row.classList.add('permalink-target');
+        }
 
-            columnHeaders.forEach(header => {
-                const cell = document.createElement('td');
-                const cellValue = rowData[header] || '';
-                formatCellContent(cell, cellValue);
-                row.appendChild(cell);
+        columnHeaders.forEach(header => {
+            const cell = document.createElement('td');
+            const cellValue = rowData[header] || '';
+            formatCellContent(cell, cellValue);
+            highlightCell(cell, highlightPattern);
+            row.appendChild(cell);
+        });
+        // The copy buttons (on 'code' columns) go in after the highlighting, so their labels aren't highlighted.
+        columnHeaders.forEach((header, index) => {
+            const cellValue = String(rowData[header] || '');
+            if (config.codeFields.includes(header) && cellValue.trim() !== '') {
+                row.children[index].prepend(createSnippetActions(cellValue, recordId));
+            }
+        });
+        // The "copy link" action sits in the top-right corner of the last cell.
+        if (recordId) {
+            row.lastChild.prepend(createCopyLinkButton(recordId));
+        }
+        return row;
+    }
+
+    /**
+     * Creates the small button that copies a permalink to a single record.
+     * @param {string} recordId The stable identifier of the record.
+     * @returns {HTMLButtonElement} The button.
+     */
+    function createCopyLinkButton(recordId) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'copy-link-button';
+        button.title = 'Copy a link to this record';
+        button.textContent = '🔗';
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const link = buildRecordLink(recordId);
+            copyText(link).then(
+                () => flashButton(button, '✓'),
+                () => prompt('Copy this link to the record:', link)
+            );
+        });
+        return button;
+    }
+
+    // --- Related Records ---
+
+    /**
+     * Expands or collapses a row. Clicks on the links and buttons inside the row, and the click that ends
+     * a text selection, are left alone.
+     * @param {HTMLTableRowElement} row The row.
+     * @param {number} originalIndex The index of its record in `currentData`.
+     * @param {MouseEvent} event The click.
+     */
+    function toggleRelatedRow(row, originalIndex, event) {
+        if (event.target.closest('a, button, input, select, textarea, summary')) return;
+        if (String(window.getSelection ? window.getSelection() : '') !== '') return;
+        const recordId = currentData[originalIndex][RECORD_ID_FIELD];
+        const next = row.nextElementSibling;
+        if (next && next.classList.contains('related-row')) {
+            next.remove();
+            row.classList.remove('expanded');
+            expandedRecordIds.delete(recordId);
+            return;
+        }
+        row.classList.add('expanded');
+        expandedRecordIds.add(recordId);
+        row.after(createRelatedRow(originalIndex));
+    }
+
+    /**
+     * Creates the row shown below an expanded row; its "Related" section is filled in once the other
+     * datasets are loaded.
+     * @param {number} originalIndex The index of the record in `currentData`.
+     * @returns {HTMLTableRowElement} The row.
+     */
+    function createRelatedRow(originalIndex) {
+        const row = document.createElement('tr');
+        row.className = 'related-row';
+        const cell = document.createElement('td');
+        cell.colSpan = columnHeaders.length;
+        cell.textContent = 'Looking for related records...';
+        row.appendChild(cell);
+        renderRelatedSection(cell, currentData[originalIndex]);
+        return row;
+    }
+
+    /**
+     * Loads the records of a dataset for the "Related" sections, once per page.
+     * @param {string} key The dataset key.
+     * @returns {Promise<Array<Object>>} The records (none if the file can't be loaded).
+     */
+    function loadRelatedData(key) {
+        if (key === config.key) return Promise.resolve(currentData);
+        if (!relatedDataCache.has(key)) {
+            relatedDataCache.set(key, fetch(datasets[key].dataFile).then(response => {
+                if (!response.ok) throw new Error(`Status: ${response.status}`);
+                return response.json();
+            }).catch(error => {
+                console.error(`Could not load ${datasets[key].dataFile} for the related records:`, error);
+                return [];
+            }));
+        }
+        return relatedDataCache.get(key);
+    }
+
+    /**
+     * Fills in the "Related" section of a record: the records it refers to and the records that refer to it
+     * (see RELATED_FIELD in datasets.js), then the records suggested because their "relatedBy" columns share
+     * words with this record's, e.g. the LinkedIn articles whose topic names a zOSINFO record's component.
+     * Each entry links to the page of its dataset, opened at that record.
+     * @param {HTMLTableCellElement} cell The cell to fill.
+     * @param {Object} record The record.
+     */
+    async function renderRelatedSection(cell, record) {
+        const keys = Object.keys(datasets);
+        const recordsByKey = new Map(await Promise.all(keys.map(async key => [key, await loadRelatedData(key)])));
+        const recordId = record[RECORD_ID_FIELD];
+        const seen = new Set([`${config.key}:${recordId}`]);
+        const related = [];
+        const addTo = (list, key, target) => {
+            const token = `${key}:${target[RECORD_ID_FIELD]}`;
+            if (seen.has(token)) return;
+            seen.add(token);
+            list.push({ key, record: target });
+        };
+
+        parseRelatedReferences(record).forEach(reference => {
+            const target = (recordsByKey.get(reference.dataset) || []).find(row => row[RECORD_ID_FIELD] === reference.id);
+            if (target) addTo(related, reference.dataset, target);
+        });
+        recordsByKey.forEach((records, key) => {
+            records.forEach(other => {
+                if (parseRelatedReferences(other).some(reference => reference.dataset === config.key && reference.id === recordId)) {
+                    addTo(related, key, other);
+                }
             });
-            tableBody.appendChild(row);
+        });
+
+        const suggested = [];
+        if (Object.keys(config.relatedBy).length > 0) {
+            keys.filter(key => key !== config.key && Object.keys(datasets[key].relatedBy).length > 0).forEach(key => {
+                suggestRelatedRecords(record, config, recordsByKey.get(key), datasets[key]).forEach(target => addTo(suggested, key, target));
+            });
+        }
+
+        cell.innerHTML = '';
+        const section = document.createElement('div');
+        section.className = 'related-section';
+        const appendList = (heading, entries, emptyText) => {
+            const title = document.createElement('h4');
+            title.textContent = heading;
+            section.appendChild(title);
+            if (entries.length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = emptyText;
+                section.appendChild(empty);
+                return;
+            }
+            const list = document.createElement('ul');
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `${datasets[entry.key].htmlFile}#record=${encodeURIComponent(entry.record[RECORD_ID_FIELD])}`;
+                link.textContent = describeRelatedRecord(entry.record, datasets[entry.key]);
+                item.append(`${datasets[entry.key].title}: `, link);
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+        };
+        appendList('Related', related, 'No records are linked to this one yet.');
+        if (suggested.length > 0) {
+            appendList(`Suggested (sharing words with its ${Object.keys(config.relatedBy).join(' or ')})`, suggested, '');
+        }
+        cell.appendChild(section);
+    }
+
+    /**
+     * Copies text to the clipboard.
+     * @param {string} text The text.
+     * @returns {Promise<void>} Resolves once copied; rejects if the browser doesn't allow it.
+     */
+    function copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+        // Older browsers and pages opened from the file system have no clipboard API. Copying the selection of a
+        // hidden <textarea> still works there, and unlike prompt() it keeps the line breaks of a JCL snippet.
+        return new Promise((resolve, reject) => {
+            const area = document.createElement('textarea');
+            area.value = text;
+            area.setAttribute('readonly', '');
+            area.style.position = 'fixed';
+            area.style.opacity = '0';
+            document.body.appendChild(area);
+            area.select();
+            let copied = false;
+            try {
+                copied = document.execCommand('copy');
+            } catch (error) {
+                copied = false;
+            }
+            area.remove();
+            if (copied) resolve();
+            else reject(new Error('The browser did not allow copying.'));
         });
     }
 
+    /** Shows a short confirmation (e.g. '✓') on a button, then puts its label back. */
+    function flashButton(button, text) {
+        if (button.dataset.label === undefined) button.dataset.label = button.textContent;
+        button.textContent = text;
+        clearTimeout(button.flashTimerId);
+        button.flashTimerId = setTimeout(() => { button.textContent = button.dataset.label; }, 1500);
+    }
+
+    /**
+     * Creates the copy buttons of a cell: one for the whole text, one for just the code or commands in it
+     * (when the text also has a description) and, for JCL, one that downloads it as a .jcl file.
+     * @param {string} value The cell value.
+     * @param {string} [recordId] The identifier of the record, used to name the download.
+     * @returns {HTMLSpanElement} The buttons.
+     */
+    function createSnippetActions(value, recordId) {
+        const actions = document.createElement('span');
+        actions.className = 'snippet-actions';
+        const addButton = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                onClick(button);
+            });
+            actions.appendChild(button);
+        };
+        const copy = (text) => (button) => copyText(text).then(
+            () => flashButton(button, '✓ Copied'),
+            () => alert('Your browser did not allow copying. Please select the text in the cell instead.')
+        );
+
+        addButton('Copy', 'Copy the whole text', copy(value));
+        const code = extractCode(value);
+        if (code && code.text !== value.trim()) {
+            const name = { jcl: 'JCL', rexx: 'REXX', shell: 'script', command: code.text.includes('\n') ? 'commands' : 'command' }[code.kind];
+            addButton(`Copy ${name}`, `Copy just the ${name}, without the description:\n\n${code.text}`, copy(code.text));
+        }
+        if (code && code.kind === 'jcl') {
+            addButton('.jcl', 'Download the JCL as a text file', () => downloadJcl(code.text, recordId));
+        }
+        return actions;
+    }
+
+    /**
+     * Picks out the part of a value that can be pasted and run: the JCL, REXX or shell lines of a value
+     * that mixes them with a description, or else the commands on each line (see findCommand).
+     * Trailing blanks are removed; JCL sequence numbers too while they are hidden.
+     * @param {string} value The cell value.
+     * @returns {{kind: 'jcl'|'rexx'|'shell'|'command', text: string}|null} The code, or null if there is none.
+     */
+    function extractCode(value) {
+        const lines = value.split(/\r\n|\r|\n/);
+        const language = detectCodeLanguage(value);
+        if (language) {
+            const state = { inStream: null, rexxStarted: false };
+            const codeLines = lines.map(line => {
+                if (language === 'jcl') {
+                    const card = stripSequenceNumbers ? removeSequenceNumber(line) : line;
+                    return classifyJclLine(card, state) === 'prose' ? null : card;
+                }
+                if (language === 'rexx') {
+                    state.rexxStarted = state.rexxStarted || REXX_HEADER_PATTERN.test(line);
+                    return state.rexxStarted ? line : null;
+                }
+                return SHELL_LINE_PATTERN.test(line) ? line : null;
+            });
+            const first = codeLines.findIndex(line => line !== null);
+            const last = codeLines.length - 1 - codeLines.slice().reverse().findIndex(line => line !== null);
+            // A line of prose between two lines of code is kept, so nothing goes missing from the middle.
+            const text = codeLines.slice(first, last + 1)
+                .map((line, index) => (line === null ? lines[first + index] : line).trimEnd())
+                .join('\n');
+            return { kind: language, text };
+        }
+
+        const commands = lines.map(line => {
+            // "D SMS -- display the SCDS", "refresh a class -- SETR RACLIST(JESSPOOL) REFRESH", "... : D LOGGER,L"
+            const parts = line.split(/\s+-{2,}\s+|\s+:\s+/);
+            for (const part of parts) {
+                const command = findCommand(part, parts.length > 1);
+                if (command) return command;
+            }
+            return null;
+        }).filter(command => command !== null);
+        return commands.length > 0 ? { kind: 'command', text: commands.join('\n') } : null;
+    }
+
+    /**
+     * Finds the command at the start of a piece of text, if there is one.
+     * A command written in capitals ends at the first lowercase word ('D OMVS,O to check the options' gives
+     * 'D OMVS,O'). A lowercase one can't be told apart from prose that way, so it only counts if its operand
+     * looks like one ('f zfs,query,level') or if a separator such as ' -- ' set it apart and it is short.
+     * @param {string} text The text.
+     * @param {boolean} separated Whether a separator set the text apart from a description.
+     * @returns {string|null} The command, or null.
+     */
+    function findCommand(text, separated) {
+        const words = text.trim().split(/\s+/);
+        if (words[0] === '') return null;
+        if (SHELL_LINE_PATTERN.test(text)) return separated ? words.join(' ') : null;
+        if (!COMMAND_VERB_PATTERN.test(words[0])) {
+            // 'lrjob,job=jobname -- ...': a lone keyword with operands.
+            return separated && words.length === 1 && /[,=]/.test(words[0]) ? words[0] : null;
+        }
+        if (/[A-Z]/.test(words[0]) && words[0] === words[0].toUpperCase()) {
+            const end = words.findIndex((word, index) => index > 0 && /^[a-z]+[.,:;]?$/.test(word));
+            return (end === -1 ? words : words.slice(0, end)).join(' ');
+        }
+        if (/[,=(*]/.test(words[1] || '') || (separated && words.length <= 6)) return words.join(' ');
+        return null;
+    }
+
+    /**
+     * Downloads a JCL snippet as a .jcl text file, ready for upload: trailing blanks are removed and no line
+     * may be longer than an 80-column card (longer lines are cut off after asking).
+     * @param {string} text The JCL.
+     * @param {string} [recordId] The identifier of the record, used to name the file if there's no job name.
+     */
+    function downloadJcl(text, recordId) {
+        let lines = text.split('\n').map(line => line.trimEnd());
+        const tooLong = lines.filter(line => line.length > JCL_CARD_COLUMNS).length;
+        if (tooLong > 0) {
+            if (!confirm(`${tooLong} line(s) of this JCL are longer than ${JCL_CARD_COLUMNS} columns and don't fit in a card image. Cut them off after column ${JCL_CARD_COLUMNS} and download?`)) return;
+            lines = lines.map(line => line.slice(0, JCL_CARD_COLUMNS).trimEnd());
+        }
+        // Name the file after the job if the snippet has a JOB statement.
+        const jobCard = lines.map(line => /^\/\/([A-Za-z$#@][\w$#@]{0,7})\s+JOB\b/i.exec(line)).find(match => match);
+        const fileName = `${jobCard ? jobCard[1].toUpperCase() : (recordId || 'snippet')}.jcl`;
+
+        downloadFile(lines.join('\n') + '\n', fileName, 'text/plain');
+    }
+
+    /**
+     * Offers text as a file download.
+     * @param {string} content The content of the file.
+     * @param {string} fileName The suggested file name.
+     * @param {string} type The MIME type.
+     */
+    function downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName; // Set the default filename for the download.
+        document.body.appendChild(a);
+        a.click(); // Programmatically click the link to trigger the download.
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /** Renders the rows of the current page and refreshes the pagination controls. */
+    function renderCurrentPage() {
+        const pageCount = getPageCount();
+        currentPage = Math.min(Math.max(currentPage, 1), pageCount);
+        const start = pageSize === 0 ? 0 : (currentPage - 1) * pageSize;
+        const end = pageSize === 0 ? filteredIndices.length : start + pageSize;
+        renderTableBody(filteredIndices.slice(start, end));
+        renderPaginationControls(start, Math.min(end, filteredIndices.length));
+    }
+
+    /** Returns how many pages the filtered rows span (always at least 1). */
+    function getPageCount() {
+        if (pageSize === 0) return 1;
+        return Math.max(1, Math.ceil(filteredIndices.length / pageSize));
+    }
+
+    /**
+     * Builds the pagination bar below the table: previous/next buttons, a row counter and the page-size selector.
+     * @param {number} start The position in `filteredIndices` of the first rendered row.
+     * @param {number} end The position just after the last rendered row.
+     */
+    function renderPaginationControls(start, end) {
+        if (!paginationBar) return;
+        paginationBar.innerHTML = '';
+
+        const previousButton = document.createElement('button');
+        previousButton.textContent = '< Prev';
+        previousButton.disabled = currentPage <= 1;
+        previousButton.addEventListener('click', () => goToPage(currentPage - 1));
+
+        const nextButton = document.createElement('button');
+        nextButton.textContent = 'Next >';
+        nextButton.disabled = currentPage >= getPageCount();
+        nextButton.addEventListener('click', () => goToPage(currentPage + 1));
+
+        const status = document.createElement('span');
+        status.className = 'pagination-status';
+        status.textContent = filteredIndices.length === 0
+            ? 'No matching rows'
+            : `Rows ${start + 1}-${end} of ${filteredIndices.length} (page ${currentPage} of ${getPageCount()})`;
+
+        const sizeLabel = document.createElement('label');
+        sizeLabel.textContent = 'Rows per page: ';
+        const sizeSelect = document.createElement('select');
+        PAGE_SIZE_OPTIONS.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = size === 0 ? 'All' : size;
+            option.selected = size === pageSize;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.addEventListener('change', () => {
+            pageSize = parseInt(sizeSelect.value, 10);
+            goToPage(1);
+            saveViewState();
+        });
+        sizeLabel.appendChild(sizeSelect);
+
+        paginationBar.append(previousButton, status, nextButton, sizeLabel);
+    }
+
+    /** Shows the given page of the filtered rows and scrolls back to the top of the table. */
+    function goToPage(page) {
+        currentPage = page;
+        renderCurrentPage();
+        tableHead.scrollIntoView({ block: 'start' });
+    }
+
     // =================================================================================
     // --- 4. CORE FUNCTIONALITY ---
     // =================================================================================
 
+    /**
+     * Reads every `.filter-input`, parses it and gives inline feedback on invalid expressions.
+     * An invalid filter is ignored (it matches every row) until the user fixes it.
+     * @returns {Array<Array<Object>>} The parsed clauses for each column, in column order.
+     */
+    function readColumnFilters() {
+        const filterInputs = document.querySelectorAll('.filter-input');
+        return Array.from(filterInputs).map(input => {
+            const { clauses, error } = parseFilterExpression(input.value);
+            input.classList.toggle('filter-invalid', error !== null);
+            input.title = error ? `Invalid filter: ${error}` : FILTER_SYNTAX_HELP;
+            return clauses;
+        });
+    }
+
+    /**
+     * Splits a search query into unique, lowercase terms.
+     * @param {string} query The raw text typed into the global search box.
+     * @returns {Array<string>} The list of terms to search for.
+     */
+    function tokenizeQuery(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(term => term !== '');
+        return [...new Set(terms)];
+    }
+
+    /**
+     * Calculates the Levenshtein (edit) distance between two words, giving up early
+     * once the distance is guaranteed to exceed `maxDistance`.
+     * @returns {number} The distance, or `maxDistance + 1` if it is larger than allowed.
+     */
+    function editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMinimum = Math.min(rowMinimum, current[j]);
+            }
+            // If every value in this row is already too large, the final distance will be too.
+            if (rowMinimum > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Works out how many typos we tolerate for a term. Short terms such as 'd' or 'sdsf'
+     * must match exactly, otherwise almost every row would match.
+     */
+    function allowedTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 5) return 1;
+        return 0;
+    }
+
+    /**
+     * Scores how well a single term matches a single cell value.
+     * - An exact whole-word match scores highest.
+     * - A substring match (e.g. 'omvs' in 'd omvs,o') scores a little less.
+     * - A close misspelling (e.g. 'storge' for 'storage') scores least.
+     * @param {string} term The lowercase search term.
+     * @param {{text: string, words: Array<string>}} entry The search index entry for the cell.
+     * @returns {{score: number, words: Array<string>}} The score and the actual words that matched.
+     */
+    function scoreTerm(term, entry) {
+        const text = entry.text;
+        if (text.includes(term)) {
+            const wholeWord = new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}($|[^a-z0-9])`).test(text);
+            return { score: wholeWord ? 1 : 0.75, words: [term] };
+        }
+
+        const maxDistance = allowedTypos(term);
+        if (maxDistance === 0) return { score: 0, words: [] };
+
+        // Look for words in the cell that are close misspellings of the term.
+        const matchedWords = entry.words.filter(word => editDistance(term, word, maxDistance) <= maxDistance);
+        return { score: matchedWords.length > 0 ? 0.5 : 0, words: matchedWords };
+    }
+
+    /**
+     * Ranks a row against the global search terms.
+     * Every term must match somewhere in the row; the score is the sum of the best
+     * weighted match for each term, so rows matching in important columns rank higher.
+     * @param {number} rowIndex The index of the row in `currentData` (and `searchIndex`).
+     * @param {Array<string>} terms The search terms from `tokenizeQuery`.
+     * @returns {{score: number, words: Array<string>}|null} The result, or null if the row does not match.
+     */
+    function scoreRow(rowIndex, terms) {
+        let totalScore = 0;
+        const matchedWords = [];
+        for (const term of terms) {
+            let bestScore = 0;
+            columnHeaders.forEach((header, columnIndex) => {
+                const weight = (config.searchWeights && config.searchWeights[header]) || 1;
+                const result = scoreTerm(term, searchIndex[rowIndex][columnIndex]);
+                if (result.score > 0) {
+                    bestScore = Math.max(bestScore, result.score * weight);
+                    matchedWords.push(...result.words);
+                }
+            });
+            // A term that matches nowhere in the row excludes the row.
+            if (bestScore === 0) return null;
+            totalScore += bestScore;
+        }
+        return { score: totalScore, words: matchedWords };
+    }
+
+    /** Escapes characters that have a special meaning inside a regular expression. */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Builds the pattern that marks the matched words of a row. A word of up to three characters is only
+     * marked at the start of a word, so the 'su' of a search doesn't light up inside 'issue' or 'result'.
+     * @param {Array<string>} terms The words to highlight.
+     * @returns {RegExp|null} The pattern, or null if there is nothing to highlight.
+     */
+    function buildHighlightPattern(terms) {
+        if (terms.length === 0) return null;
+        // Longer terms go first so that 'storage' wins over 'stor' when both are present.
+        const alternatives = terms.slice().sort((a, b) => b.length - a.length)
+            .map(term => (term.length <= 3 ? `(?<![a-z0-9])${escapeRegExp(term)}` : escapeRegExp(term)));
+        return new RegExp(alternatives.join('|'), 'gi');
+    }
+
+    /**
+     * Wraps every match of the pattern inside a cell's text in a <mark> element.
+     * It walks the text nodes so that links and <pre> blocks created by `formatCellContent` keep working.
+     * @param {HTMLElement} cell The table cell (<td>) that has already been populated.
+     * @param {RegExp|null} pattern The words to highlight, see `buildHighlightPattern`.
+     */
+    function highlightCell(cell, pattern) {
+        if (!pattern) return;
+
+        const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            pattern.lastIndex = 0;
+            if (!pattern.test(text)) return;
+            pattern.lastIndex = 0;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = match[0];
+                fragment.appendChild(mark);
+                lastIndex = match.index + match[0].length;
+            }
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+
     /** Filters the table data based on user input. */
     function filterTable() {
-        const filterInputs = document.querySelectorAll('.filter-input');
-        const filterValues = Array.from(filterInputs).map(input => input.value.toLowerCase());
+        linkedRecordId = null; // Changing the view ends the highlight of a permalinked record.
+        const columnFilters = readColumnFilters();
 
-        // Filter the master `currentData` array.
-        const filteredData = currentData.filter(row => {
+        // Filter the master `currentData` array, working with row indices so every row keeps its identity.
+        let matchingIndices = [];
+        currentData.forEach((row, rowIndex) => {
             // A row is included only if it matches the filter text in *every* column.
-            return filterValues.every((filterValue, index) => {
+            const matches = columnFilters.every((clauses, index) => {
+                if (clauses.length === 0) return true;
                 const header = columnHeaders[index];
-                const cellValue = String(row[header]).toLowerCase();
-                return cellValue.includes(filterValue); // Check if the cell text contains the filter text.
+                return matchesFilterExpression(clauses, row[header], searchIndex[rowIndex][index].text);
+            });
+            if (matches) matchingIndices.push(rowIndex);
+        });
+
+        // Then apply the global search box on top of the column filters, ranking the survivors.
+        const terms = globalSearchInput ? tokenizeQuery(globalSearchInput.value) : [];
+        // Each row keeps the words matched in it, so a misspelling found in one row isn't marked in the others.
+        highlightTerms = new Map();
+        if (terms.length > 0) {
+            const matches = [];
+            matchingIndices.forEach(rowIndex => {
+                const result = scoreRow(rowIndex, terms);
+                if (result) {
+                    matches.push({ rowIndex, score: result.score });
+                    highlightTerms.set(rowIndex, [...new Set(result.words)]);
+                }
+            });
+            // Highest score first; rows with equal scores keep their file order.
+            matches.sort((a, b) => b.score - a.score || a.rowIndex - b.rowIndex);
+            matchingIndices = matches.map(match => match.rowIndex);
+        }
+
+        // The facet panel narrows the result further (and updates its counts).
+        matchingIndices = applyFacets(matchingIndices);
+        const shownRows = new Set(matchingIndices);
+        highlightTerms.forEach((words, rowIndex) => {
+            if (!shownRows.has(rowIndex)) highlightTerms.delete(rowIndex);
+        });
+
+        // A column sort chosen by the user takes precedence over the search ranking.
+        filteredIndices = sortRowIndices(currentData, matchingIndices, sortKeys);
+        currentPage = 1; // A new set of results always starts on the first page.
+        renderCurrentPage();
+        saveViewState();
+        writeUrlState();
+    }
+
+    /**
+     * Normalizes a value for facet grouping, so 'ibm', 'ibm ' and 'IBM' fall into the same bucket.
+     * @param {*} value The raw cell value.
+     * @returns {string} The lowercase value with collapsed whitespace.
+     */
+    function toFacetKey(value) {
+        return String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Works out the facet bucket of every row, plus the label shown for each bucket.
+     * The label is the most common spelling in the data (e.g. 'ibm' rather than 'IBm').
+     * @returns {{keys: Array<Array<string>>, labels: Object<string, Map<string, string>>}}
+     *          `keys[rowIndex][facetIndex]` is the bucket of a row; `labels[header]` maps each bucket to its label.
+     */
+    function buildFacetIndex() {
+        const facets = config.facets || [];
+        const spellings = {}; // header -> bucket -> spelling -> count
+        facets.forEach(header => { spellings[header] = new Map(); });
+
+        const keys = currentData.map(row => facets.map(header => {
+            const key = toFacetKey(row[header]);
+            const spelling = String(row[header] === undefined || row[header] === null ? '' : row[header]).trim().replace(/\s+/g, ' ');
+            if (!spellings[header].has(key)) spellings[header].set(key, new Map());
+            const counts = spellings[header].get(key);
+            counts.set(spelling, (counts.get(spelling) || 0) + 1);
+            return key;
+        }));
+
+        const labels = {};
+        facets.forEach(header => {
+            labels[header] = new Map();
+            spellings[header].forEach((counts, key) => {
+                const [bestSpelling] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+                labels[header].set(key, key === '' ? '(empty)' : bestSpelling);
+            });
+        });
+        return { keys, labels };
+    }
+
+    /**
+     * Applies the facet selections to a list of rows and refreshes the facet panel.
+     * Within one facet the ticked values are alternatives (OR); different facets must all match (AND).
+     * The count next to a value is the number of rows it would show given everything else that is
+     * selected, i.e. the filters, the search and the *other* facets.
+     * @param {Array<number>} rowIndices The rows that passed the column filters and the search.
+     * @returns {Array<number>} The rows that also pass the facets, in the same order.
+     */
+    function applyFacets(rowIndices) {
+        const facets = config.facets || [];
+        if (facets.length === 0) return rowIndices;
+
+        const counts = facets.map(() => new Map());
+        const result = [];
+        rowIndices.forEach(rowIndex => {
+            const rowKeys = facetIndex.keys[rowIndex];
+            const failing = [];
+            facets.forEach((header, facetIndexPosition) => {
+                const selected = facetSelections[header];
+                if (selected && selected.size > 0 && !selected.has(rowKeys[facetIndexPosition])) {
+                    failing.push(facetIndexPosition);
+                }
+            });
+
+            if (failing.length === 0) {
+                result.push(rowIndex);
+                // A matching row counts towards every facet.
+                rowKeys.forEach((key, position) => counts[position].set(key, (counts[position].get(key) || 0) + 1));
+            } else if (failing.length === 1) {
+                // A row held back by a single facet still counts for that facet, so its other values stay visible.
+                const position = failing[0];
+                counts[position].set(rowKeys[position], (counts[position].get(rowKeys[position]) || 0) + 1);
+            }
+        });
+
+        renderFacetPanel(counts);
+        return result;
+    }
+
+    /**
+     * Fills the facet panel with one checkbox per value and its live count.
+     * The most common values are listed first; long lists are cut short until "Show all" is clicked.
+     * @param {Array<Map<string, number>>} counts The counts per facet, as computed by `applyFacets`.
+     */
+    function renderFacetPanel(counts) {
+        if (!facetPanel) return;
+        (config.facets || []).forEach((header, position) => {
+            const list = Array.from(facetPanel.querySelectorAll('.facet-values')).find(element => element.dataset.header === header);
+            if (!list) return;
+            list.innerHTML = '';
+            const selected = facetSelections[header] || new Set();
+
+            // Selected values stay visible even when nothing else matches them.
+            const entries = Array.from(counts[position].entries());
+            selected.forEach(key => {
+                if (!counts[position].has(key)) entries.push([key, 0]);
             });
+            entries.sort((a, b) => b[1] - a[1] || facetIndex.labels[header].get(a[0]).localeCompare(facetIndex.labels[header].get(b[0])));
+
+            const showAll = expandedFacets.has(header);
+            const visible = showAll ? entries : entries.filter(([key], index) => index < FACET_VALUE_LIMIT || selected.has(key));
+            visible.forEach(([key, count]) => {
+                const item = document.createElement('li');
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = selected.has(key);
+                checkbox.addEventListener('change', () => toggleFacetValue(header, key, checkbox.checked));
+                const text = document.createElement('span');
+                text.textContent = facetIndex.labels[header].get(key);
+                const countBadge = document.createElement('span');
+                countBadge.className = 'facet-count';
+                countBadge.textContent = count;
+                label.append(checkbox, text, countBadge);
+                item.appendChild(label);
+                list.appendChild(item);
+            });
+
+            if (entries.length > FACET_VALUE_LIMIT) {
+                const toggle = document.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'facet-show-all';
+                toggle.textContent = showAll ? 'Show fewer' : `Show all (${entries.length})`;
+                toggle.addEventListener('click', () => {
+                    if (showAll) expandedFacets.delete(header); else expandedFacets.add(header);
+                    renderFacetPanel(counts);
+                });
+                const item = document.createElement('li');
+                item.appendChild(toggle);
+                list.appendChild(item);
+            }
         });
+    }
+
+    /** Ticks or unticks a facet value and re-filters the table. */
+    function toggleFacetValue(header, key, checked) {
+        if (!facetSelections[header]) facetSelections[header] = new Set();
+        if (checked) {
+            facetSelections[header].add(key);
+        } else {
+            facetSelections[header].delete(key);
+        }
+        filterTable();
+    }
 
-        renderTableBody(filteredData);
+    /** Unticks every facet value. */
+    function clearFacets() {
+        Object.keys(facetSelections).forEach(header => facetSelections[header].clear());
+    }
+
+    /** Builds the static part of the facet panel: the title, the buttons and an empty list per facet. */
+    function setupFacetPanel() {
+        if (!facetPanel) return;
+        if (!config.facets || config.facets.length === 0) {
+            facetPanel.hidden = true;
+            return;
+        }
+
+        facetPanel.innerHTML = '';
+        const panelHeader = document.createElement('div');
+        panelHeader.className = 'facet-panel-header';
+        const title = document.createElement('strong');
+        title.textContent = 'Browse';
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.textContent = 'Clear all';
+        clearButton.addEventListener('click', () => {
+            clearFacets();
+            filterTable();
+        });
+        const collapseButton = document.createElement('button');
+        collapseButton.type = 'button';
+        collapseButton.title = 'Show or hide the facet panel';
+        collapseButton.textContent = '«';
+        collapseButton.addEventListener('click', () => {
+            const collapsed = facetPanel.classList.toggle('collapsed');
+            collapseButton.textContent = collapsed ? '»' : '«';
+        });
+        panelHeader.append(title, clearButton, collapseButton);
+        facetPanel.appendChild(panelHeader);
+
+        config.facets.forEach(header => {
+            // Each facet is a collapsible <details> block so long lists can be folded away.
+            const group = document.createElement('details');
+            group.className = 'facet-group';
+            group.open = true;
+            const summary = document.createElement('summary');
+            summary.textContent = header;
+            const list = document.createElement('ul');
+            list.className = 'facet-values';
+            list.dataset.header = header;
+            group.append(summary, list);
+            facetPanel.appendChild(group);
+        });
+    }
+
+    /** Remembers the current filters, search text, sort order and page size for this page in localStorage. */
+    function saveViewState() {
+        const state = {
+            filters: Array.from(document.querySelectorAll('.filter-input')).map(input => input.value),
+            search: globalSearchInput ? globalSearchInput.value : '',
+            sort: sortKeys,
+            facets: serializeFacetSelections(),
+            pageSize,
+            stripSequenceNumbers
+        };
+        try {
+            localStorage.setItem(VIEW_STATE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Storage can be full or disabled (e.g. private browsing); the page still works without it.
+            console.warn('Could not save the view state:', error);
+        }
+    }
+
+    /**
+     * Restores the view saved by `saveViewState`.
+     * @returns {boolean} True if a saved view was found and applied.
+     */
+    function restoreViewState() {
+        let state;
+        try {
+            state = JSON.parse(localStorage.getItem(VIEW_STATE_KEY));
+        } catch (error) {
+            console.warn('Could not read the saved view state:', error);
+            return false;
+        }
+        if (!state || typeof state !== 'object') return false;
+        applyViewState(state);
+        return true;
+    }
+
+    /**
+     * Puts a saved or linked view into the filter inputs, search box and sort state, ignoring anything
+     * that no longer fits the page (for example a sort column that has been removed from the configuration).
+     * The caller still has to run `filterTable()` to show the result.
+     * @param {{filters: Array<string>, search: string, sort: Array<Object>, facets: Object, pageSize: number}} state The view to apply.
+     */
+    function applyViewState(state) {
+        const filterInputs = document.querySelectorAll('.filter-input');
+        if (Array.isArray(state.filters)) {
+            state.filters.forEach((value, index) => {
+                if (filterInputs[index] && typeof value === 'string') filterInputs[index].value = value;
+            });
+        }
+        if (globalSearchInput && typeof state.search === 'string') {
+            globalSearchInput.value = state.search;
+        }
+        if (Array.isArray(state.sort)) {
+            sortKeys = state.sort.filter(key => key && columnHeaders.includes(key.header) && (key.direction === 'asc' || key.direction === 'desc'));
+        }
+        if (PAGE_SIZE_OPTIONS.includes(state.pageSize)) {
+            pageSize = state.pageSize;
+        }
+        // Shared links don't carry this display preference, so a linked view keeps the reader's own.
+        if (typeof state.stripSequenceNumbers === 'boolean') {
+            stripSequenceNumbers = state.stripSequenceNumbers;
+            if (stripSequenceInput) stripSequenceInput.checked = stripSequenceNumbers;
+        }
+        clearFacets();
+        if (state.facets && typeof state.facets === 'object') {
+            (config.facets || []).forEach(header => {
+                if (Array.isArray(state.facets[header])) {
+                    facetSelections[header] = new Set(state.facets[header].map(toFacetKey));
+                }
+            });
+        }
+    }
+
+    /** Converts the facet selections to plain arrays for localStorage and the URL. */
+    function serializeFacetSelections() {
+        const result = {};
+        Object.keys(facetSelections).forEach(header => {
+            if (facetSelections[header].size > 0) result[header] = Array.from(facetSelections[header]);
+        });
+        return result;
+    }
+
+    /**
+     * Mirrors the current view into the URL hash so it can be bookmarked or shared, e.g.
+     * `zosinfo.html#q=su&f.Vendor=ibm&sort=Vendor:asc,type:desc`, `zosinfo.html#record=k3f9a2xq`
+     * or, while the lookup view is shown, `zosinfo.html#code=S0C4`.
+     * `replaceState` is used so typing in a filter doesn't add an entry to the browser history.
+     */
+    function writeUrlState() {
+        const params = new URLSearchParams();
+        if (lookupCode) {
+            params.set('code', lookupCode);
+        } else if (linkedRecordId) {
+            params.set('record', linkedRecordId);
+        } else {
+            if (globalSearchInput && globalSearchInput.value.trim() !== '') {
+                params.set('q', globalSearchInput.value);
+            }
+            document.querySelectorAll('.filter-input').forEach((input, index) => {
+                if (input.value !== '') params.set(`f.${columnHeaders[index]}`, input.value);
+            });
+            if (sortKeys.length > 0) {
+                params.set('sort', sortKeys.map(key => `${key.header}:${key.direction}`).join(','));
+            }
+            // A facet can have several ticked values, so each one becomes its own parameter.
+            const facets = serializeFacetSelections();
+            Object.keys(facets).forEach(header => {
+                facets[header].forEach(key => params.append(`facet.${header}`, key));
+            });
+        }
+        const hash = params.toString();
+        const url = window.location.href.split('#')[0] + (hash ? `#${hash}` : '');
+        if (url !== window.location.href) {
+            history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Reads a view from the URL hash written by `writeUrlState` or `buildRecordLink`.
+     * @returns {{filters: Array<string>, search: string, sort: Array<Object>, facets: Object, record: string|null, code: string|null}|null}
+     *          The linked view, or null if the URL doesn't contain one.
+     */
+    function readUrlState() {
+        const hash = window.location.hash.slice(1);
+        if (!hash) return null;
+        const params = new URLSearchParams(hash);
+        const known = ['q', 'sort', 'record', 'code'];
+        if (!Array.from(params.keys()).some(key => known.includes(key) || key.startsWith('f.') || key.startsWith('facet.'))) return null;
+
+        const sort = (params.get('sort') || '').split(',').filter(part => part !== '').map(part => {
+            const separator = part.lastIndexOf(':');
+            return { header: part.slice(0, separator), direction: part.slice(separator + 1) };
+        });
+        const facets = {};
+        (config.facets || []).forEach(header => {
+            const values = params.getAll(`facet.${header}`);
+            if (values.length > 0) facets[header] = values;
+        });
+        return {
+            filters: columnHeaders.map(header => params.get(`f.${header}`) || ''),
+            search: params.get('q') || '',
+            sort,
+            facets,
+            record: params.get('record'),
+            code: params.get('code') ? normalizeCode(params.get('code')) : null
+        };
+    }
+
+    /**
+     * Builds the permalink for a single record.
+     * @param {string} recordId The stable identifier of the record.
+     * @returns {string} An absolute URL to this page that opens the record.
+     */
+    function buildRecordLink(recordId) {
+        return `${window.location.href.split('#')[0]}#record=${encodeURIComponent(recordId)}`;
+    }
+
+    /**
+     * Opens a single record: clears the filters if they hide it, jumps to its page,
+     * scrolls it into view and highlights it.
+     * @param {string} recordId The stable identifier of the record.
+     */
+    function showRecord(recordId) {
+        const rowIndex = currentData.findIndex(row => row[RECORD_ID_FIELD] === recordId);
+        if (rowIndex === -1) {
+            alert(`The linked record '${recordId}' could not be found. It may have been deleted.`);
+            return;
+        }
+
+        if (!filteredIndices.includes(rowIndex)) {
+            document.querySelectorAll('.filter-input').forEach(input => { input.value = ''; });
+            if (globalSearchInput) globalSearchInput.value = '';
+            clearFacets();
+            filterTable();
+        }
+
+        linkedRecordId = recordId;
+        const position = filteredIndices.indexOf(rowIndex);
+        currentPage = pageSize === 0 ? 1 : Math.floor(position / pageSize) + 1;
+        renderCurrentPage();
+        writeUrlState();
+
+        const row = tableBody.querySelector(`tr[data-original-index="${rowIndex}"]`);
+        if (row) row.scrollIntoView({ block: 'center' });
+    }
+
+    /**
+     * Applies the view described by the URL hash, if there is one.
+     * @returns {boolean} True if the URL contained a view.
+     */
+    function applyUrlState() {
+        const linkedState = readUrlState();
+        if (!linkedState) return false;
+        if (linkedState.code) {
+            showLookup(linkedState.code);
+            return true;
+        }
+        if (lookupCode) closeLookup();
+        applyViewState(linkedState);
+        updateSortIndicators();
+        filterTable();
+        if (linkedState.record) showRecord(linkedState.record);
+        return true;
+    }
+
+    /**
+     * Handles a click on a column header.
+     * - A plain click sorts by that column alone, cycling ascending -> descending -> file order.
+     * - A shift-click adds the column as an extra (secondary, tertiary...) sort key, or flips its direction.
+     * @param {string} header The column that was clicked.
+     * @param {boolean} addKey True if the shift key was held down.
+     */
+    function handleSortClick(header, addKey) {
+        const existing = sortKeys.find(key => key.header === header);
+        if (addKey) {
+            if (existing) {
+                existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                sortKeys.push({ header, direction: 'asc' });
+            }
+        } else if (existing && sortKeys.length === 1) {
+            sortKeys = existing.direction === 'asc' ? [{ header, direction: 'desc' }] : [];
+        } else {
+            sortKeys = [{ header, direction: 'asc' }];
+        }
+        updateSortIndicators();
+        filterTable();
+    }
+
+    /** Shows an arrow (and the key's position when sorting by several columns) on each sorted header. */
+    function updateSortIndicators() {
+        tableHead.querySelectorAll('th').forEach((th, index) => {
+            const header = columnHeaders[index];
+            const keyIndex = sortKeys.findIndex(key => key.header === header);
+            const indicator = th.querySelector('.sort-indicator');
+            if (keyIndex === -1) {
+                indicator.textContent = '';
+                return;
+            }
+            const arrow = sortKeys[keyIndex].direction === 'asc' ? '▲' : '▼';
+            indicator.textContent = sortKeys.length > 1 ? ` ${arrow}${keyIndex + 1}` : ` ${arrow}`;
+        });
+    }
+
+    /**
+     * Exports the rows of the current view (everything `filterTable()` let through, in the sorted order,
+     * not just the current page) as a file.
+     * @param {'csv'|'xlsx'|'markdown'|'json'} format The file format.
+     */
+    async function exportView(format) {
+        if (filteredIndices.length === 0) {
+            alert('There are no rows to export. Change the filters or the search first.');
+            return;
+        }
+        const records = filteredIndices.map(index => currentData[index]);
+        // The table's columns, in the table's order; JSON gets whole records so it can be loaded like a data file.
+        const rows = records.map(record => columnHeaders.map(header => (record[header] === undefined || record[header] === null ? '' : String(record[header]))));
+        const baseName = `${config.dataFile.replace(/-data\.json$/, '')}-export-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            // RFC 4180: values with a comma, quote or line break are quoted, so the CRLF inside 'info' stays in the cell.
+            const toCsvField = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+            const csv = [columnHeaders, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+            // The byte order mark tells Excel the file is UTF-8.
+            downloadFile('\uFEFF' + csv + '\r\n', `${baseName}.csv`, 'text/csv;charset=utf-8');
+        } else if (format === 'markdown') {
+            // A table cell must stay on one line: line breaks become <br>, and | and Markdown's own characters are escaped.
+            const toMarkdownCell = value => value.replace(/[\\`*_[\]<>|]/g, '\\$&').replace(/\r\n|\r|\n/g, '<br>');
+            const lines = [
+                `| ${columnHeaders.map(toMarkdownCell).join(' | ')} |`,
+                `| ${columnHeaders.map(() => '---').join(' | ')} |`,
+                ...rows.map(row => `| ${row.map(toMarkdownCell).join(' | ')} |`)
+            ];
+            downloadFile(lines.join('\n') + '\n', `${baseName}.md`, 'text/markdown');
+        } else if (format === 'json') {
+            downloadFile(JSON.stringify(records, null, 2), `${baseName}.json`, 'application/json');
+        } else if (format === 'xlsx') {
+            let XLSX;
+            try {
+                XLSX = await loadSheetJs();
+            } catch (error) {
+                console.error('Failed to load SheetJS:', error);
+                alert('The Excel export needs the SheetJS library, which could not be loaded. Check the internet connection, or export as CSV instead.');
+                return;
+            }
+            // Excel expects a bare line feed for a line break inside a cell.
+            const sheet = XLSX.utils.aoa_to_sheet([columnHeaders, ...rows.map(row => row.map(value => value.replace(/\r\n?/g, '\n')))]);
+            sheet['!cols'] = columnHeaders.map(header => ({ wch: header === 'info' ? 100 : 20 }));
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, sheet, document.title.slice(0, 31) || 'Export');
+            XLSX.writeFile(workbook, `${baseName}.xlsx`);
+        }
+    }
+
+    /**
+     * Loads SheetJS (see SHEETJS_URL) if it isn't loaded yet.
+     * @returns {Promise<Object>} The `XLSX` object.
+     */
+    function loadSheetJs() {
+        if (window.XLSX) return Promise.resolve(window.XLSX);
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = SHEETJS_URL;
+            script.onload = () => (window.XLSX ? resolve(window.XLSX) : reject(new Error('SheetJS did not load.')));
+            script.onerror = () => {
+                script.remove(); // So the next attempt tries again.
+                reject(new Error(`Could not load ${SHEETJS_URL}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Creates a version of `func` that only runs once the calls have stopped for `delay` milliseconds.
+     * @param {Function} func The function to delay.
+     * @param {number} delay The quiet period in milliseconds.
+     * @returns {Function} The debounced function.
+     */
+    function debounce(func, delay) {
+        let timerId = null;
+        return function(...args) {
+            clearTimeout(timerId);
+            timerId = setTimeout(() => func.apply(this, args), delay);
+        };
+    }
+
+    // Filtering is triggered while typing, so it waits for a short pause in the keystrokes.
+    const debouncedFilterTable = debounce(filterTable, FILTER_DEBOUNCE_MS);
+
+    // --- Message ID and Abend Code Lookup ---
+
+    /**
+     * Runs the global search. A search for just one message ID or abend code opens the lookup view for it,
+     * unless the user already closed that lookup or no record mentions the code (then the search stays an
+     * ordinary text search, so 's390' still finds the records about the machine).
+     */
+    function handleSearchInput() {
+        const code = recognizeSearchCode(globalSearchInput.value);
+        if (code !== dismissedLookupCode) dismissedLookupCode = null;
+        if (code && code !== dismissedLookupCode && codeIndex.has(code)) {
+            // The table behind the lookup follows the search too, for when the user goes back to it.
+            filterTable();
+            showLookup(code);
+            return;
+        }
+        if (lookupCode) closeLookup();
+        filterTable();
+    }
+
+    const debouncedSearchInput = debounce(handleSearchInput, FILTER_DEBOUNCE_MS);
+
+    /**
+     * Shows the lookup view of a code in place of the table: every record that mentions it,
+     * grouped by the dataset's `lookupGroupBy` column (e.g. the component for z/OS messages).
+     * @param {string} code The message ID or abend code.
+     */
+    function showLookup(code) {
+        if (!lookupView) return;
+        lookupCode = code;
+        renderLookupView();
+        lookupView.hidden = false;
+        if (tableArea) tableArea.hidden = true;
+        writeUrlState();
+        window.scrollTo(0, 0);
+    }
+
+    /** Hides the lookup view and shows the table again (the caller refreshes it). */
+    function closeLookup() {
+        if (!lookupView) return;
+        // If the search box still holds the code, it must not open the lookup again straight away.
+        if (recognizeSearchCode(globalSearchInput ? globalSearchInput.value : '') === lookupCode) {
+            dismissedLookupCode = lookupCode;
+        }
+        lookupCode = null;
+        lookupView.hidden = true;
+        lookupView.innerHTML = '';
+        if (tableArea) tableArea.hidden = false;
+    }
+
+    /** Builds the content of the lookup view for `lookupCode`. */
+    function renderLookupView() {
+        lookupView.innerHTML = '';
+        const indices = codeIndex.get(lookupCode) || [];
+        const groupBy = config.lookupGroupBy && columnHeaders.includes(config.lookupGroupBy) ? config.lookupGroupBy : null;
+
+        const header = document.createElement('div');
+        header.className = 'lookup-header';
+        const title = document.createElement('h2');
+        title.textContent = `${lookupCode} `;
+        const kind = document.createElement('small');
+        kind.textContent = describeCode(lookupCode);
+        title.appendChild(kind);
+        const backButton = document.createElement('button');
+        backButton.type = 'button';
+        backButton.textContent = 'Back to the table';
+        backButton.addEventListener('click', () => {
+            closeLookup();
+            filterTable();
+        });
+        header.append(title, backButton);
+        lookupView.appendChild(header);
+
+        const summary = document.createElement('p');
+        lookupView.appendChild(summary);
+        if (indices.length === 0) {
+            summary.textContent = `No record mentions ${lookupCode}.`;
+            return;
+        }
+
+        // Group the records (by facet key, so 'JES2' and 'jes2 ' are one group), biggest group first.
+        const groups = new Map();
+        indices.forEach(rowIndex => {
+            const value = groupBy ? String(currentData[rowIndex][groupBy] || '').trim().replace(/\s+/g, ' ') : '';
+            const key = toFacetKey(value);
+            // A facet column already knows the most common spelling of each value.
+            const facetLabels = groupBy ? facetIndex.labels[groupBy] : null;
+            const label = facetLabels && facetLabels.has(key) ? facetLabels.get(key) : value;
+            if (!groups.has(key)) groups.set(key, { label: key === '' ? '(none)' : label, indices: [] });
+            groups.get(key).indices.push(rowIndex);
+        });
+        const sortedGroups = Array.from(groups.values()).sort((a, b) => b.indices.length - a.indices.length || a.label.localeCompare(b.label));
+        summary.textContent = `${indices.length} record${indices.length === 1 ? '' : 's'} mention${indices.length === 1 ? 's' : ''} ${lookupCode}`
+            + (groupBy ? `, in ${sortedGroups.length} ${groupBy} group${sortedGroups.length === 1 ? '' : 's'}.` : '.');
+
+        // The code is highlighted wherever it appears; a JES2 message may be written without its '$'.
+        const terms = [lookupCode, lookupCode.replace(/^\$/, '')];
+        sortedGroups.forEach(group => {
+            const section = document.createElement('section');
+            section.className = 'lookup-group';
+            if (groupBy) {
+                const heading = document.createElement('h3');
+                heading.textContent = `${group.label} (${group.indices.length})`;
+                section.appendChild(heading);
+            }
+            // The same class as the main table, so the columns get the same widths.
+            const table = document.createElement('table');
+            table.className = `${tableBody.closest('table').className} lookup-table`;
+            const headRow = table.createTHead().insertRow();
+            columnHeaders.forEach(headerText => {
+                const th = document.createElement('th');
+                th.textContent = headerText;
+                headRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            group.indices.forEach(rowIndex => {
+                const row = createRecordRow(rowIndex, terms);
+                const recordId = currentData[rowIndex][RECORD_ID_FIELD];
+                if (recordId) {
+                    const link = document.createElement('a');
+                    link.className = 'lookup-open';
+                    link.href = `#record=${encodeURIComponent(recordId)}`;
+                    link.textContent = 'Show in table';
+                    row.lastChild.prepend(link);
+                }
+                body.appendChild(row);
+            });
+            section.appendChild(table);
+            lookupView.appendChild(section);
+        });
+    }
+
+    // --- Offline Support ---
+
+    /**
+     * Registers service-worker.js, which saves the pages and the data on this device so the site works
+     * offline and can be installed as an app. Only possible over http(s), not for a page opened from disk.
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+        navigator.serviceWorker.register(SERVICE_WORKER_FILE).catch(error => {
+            // The site works without it, only not offline.
+            console.error('Could not register the service worker:', error);
+        });
+    }
+
+    /**
+     * Listens to the service worker and the browser's online/offline events, and keeps the status banner up to date:
+     *   - 'data-updated': a newer copy of this page's data file (or of datasets.json) was downloaded in the background.
+     *   - 'data-offline': the background check failed, so the page shows the copy saved on this device.
+     */
+    function listenForDataUpdates() {
+        const isOurs = file => file === config.dataFile || file === DATASET_MANIFEST_FILE;
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                const message = event.data || {};
+                if (!isOurs(message.file)) return;
+                if (message.type === 'data-updated') {
+                    newDataAvailable = true;
+                } else if (message.type === 'data-offline') {
+                    isOffline = true;
+                    if (message.file === config.dataFile && message.cachedAt) dataCachedAt = message.cachedAt;
+                }
+                showDataStatus();
+            });
+        }
+        window.addEventListener('offline', () => {
+            isOffline = true;
+            showDataStatus();
+        });
+        window.addEventListener('online', () => {
+            isOffline = false;
+            if (dataUnavailableOffline) {
+                // There was nothing to show; now there is.
+                newDataAvailable = true;
+            } else {
+                // Ask again, so the service worker checks for a newer data file (and reports it).
+                fetch(config.dataFile).catch(() => {});
+            }
+            showDataStatus();
+        });
+    }
+
+    /**
+     * Shows or hides the status banner above the table: "new data available" with a reload button, or
+     * while offline, how old the copy saved on this device is. When offline with no saved copy, the banner
+     * explains why instead of an empty table being shown.
+     * (The elements are looked up here, since a message can arrive before the page is set up.)
+     */
+    function showDataStatus() {
+        const statusElement = document.getElementById('data-status');
+        const tableContainer = document.querySelector('.table-container');
+        if (!statusElement) return;
+        statusElement.innerHTML = '';
+        const text = document.createElement('span');
+        statusElement.appendChild(text);
+
+        if (newDataAvailable) {
+            text.textContent = dataUnavailableOffline ? 'You are back online.' : 'New data available.';
+            const reloadButton = document.createElement('button');
+            reloadButton.type = 'button';
+            reloadButton.textContent = 'Reload';
+            reloadButton.addEventListener('click', () => window.location.reload());
+            statusElement.appendChild(reloadButton);
+        } else if (dataUnavailableOffline) {
+            text.textContent = `You are offline, and the data of this page (${config.dataFile}) has not been saved on this device yet. Open this page once while online to use it offline.`;
+        } else if (isOffline && dataCachedAt) {
+            text.textContent = `Offline: showing the copy saved on this device ${formatAge(dataCachedAt)} (${new Date(dataCachedAt).toLocaleString()}).`;
+        } else if (isOffline) {
+            text.textContent = 'Offline: showing the data as it was loaded.';
+        }
+        statusElement.hidden = text.textContent === '';
+        if (tableContainer) tableContainer.hidden = dataUnavailableOffline;
+    }
+
+    /**
+     * Describes how long ago a moment was, e.g. '5 minutes ago' or '3 days ago'.
+     * @param {string} isoDate The moment, as an ISO date.
+     * @returns {string} The description.
+     */
+    function formatAge(isoDate) {
+        const minutes = Math.floor((Date.now() - new Date(isoDate).getTime()) / 60000);
+        const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return plural(minutes, 'minute');
+        if (minutes < 48 * 60) return plural(Math.floor(minutes / 60), 'hour');
+        return plural(Math.floor(minutes / (24 * 60)), 'day');
     }
 
     // =================================================================================
     // --- 5. EVENT LISTENERS & FINAL SETUP ---
     // =================================================================================
 
+    // --- Page Setup ---
+    // Pages are shared between datasets (dataset.html shows any of them), so the title and the options come from the manifest.
+    const headingElement = document.querySelector('.header-title');
+    if (headingElement) {
+        headingElement.textContent = config.heading;
+        headingElement.hidden = config.heading === '';
+    }
+    document.title = config.title;
+    if (stripSequenceInput && config.codeFields.length === 0) {
+        // Only code columns can hold JCL, so the sequence number option means nothing here.
+        stripSequenceInput.closest('label').hidden = true;
+    }
+
+    // --- Offline Logic ---
+    // Save the site on this device for offline use, and show how current the data is.
+    registerServiceWorker();
+    showDataStatus();
+
     // --- Dropdown Menu Logic ---
     const dropdownButton = document.getElementById('dropdown-button');
     const dropdownContent = document.getElementById('dropdown-content');
 
+    if (dropdownContent) {
+        // One link per dataset of the manifest, above the export entries.
+        const firstEntry = dropdownContent.firstElementChild;
+        Object.values(datasets).forEach(dataset => {
+            const link = document.createElement('a');
+            link.href = dataset.htmlFile;
+            link.textContent = dataset.title;
+            dropdownContent.insertBefore(link, firstEntry);
+        });
+    }
+
     if (dropdownButton) {
         // When the three-dots button is clicked, toggle the 'show' class on the menu content.
         dropdownButton.addEventListener('click', () => {
@@ -214,8 +1806,54 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     }
 
-    // Initial render of the table on page load.
+    // --- Export Logic ---
+    if (dropdownContent) {
+        // The export entries of the three-dots menu carry the format in data-export.
+        dropdownContent.addEventListener('click', (event) => {
+            const link = event.target.closest('[data-export]');
+            if (!link) return;
+            event.preventDefault();
+            dropdownContent.classList.remove('show');
+            exportView(link.dataset.export);
+        });
+    }
+
+    // --- Global Search Logic ---
+    if (globalSearchInput) {
+        // Like the column filters, the search re-runs (debounced) every time the user types.
+        // A message ID or abend code on its own opens the lookup view instead.
+        globalSearchInput.addEventListener('input', debouncedSearchInput);
+    }
+
+    // --- JCL Sequence Number Logic ---
+    if (stripSequenceInput) {
+        // Only the display changes, so the current page is simply drawn again.
+        stripSequenceInput.addEventListener('change', () => {
+            stripSequenceNumbers = stripSequenceInput.checked;
+            renderCurrentPage();
+            saveViewState();
+        });
+    }
+
+    // --- Deep Link Logic ---
+    // Pasting a different link into the address bar of an open page only changes the hash, so re-apply it.
+    // The same happens when a code chip is clicked, or when the back button leaves the lookup view.
+    window.addEventListener('hashchange', () => {
+        if (!applyUrlState() && lookupCode) {
+            closeLookup();
+            filterTable();
+        }
+    });
+
+    // Initial render of the table on page load. A view in the URL (a shared link) wins over
+    // the last view remembered for this page.
     renderTableHeaders();
-    renderTableBody(currentData);
+    setupFacetPanel();
+    if (!applyUrlState()) {
+        // Filtering with a fresh view also fills in the facet counts.
+        restoreViewState();
+        updateSortIndicators();
+        filterTable();
+    }
 });
 
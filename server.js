@@ -0,0 +1,593 @@
+/**
+ * LOCAL SAVE SERVER
+ * -----------------
+ * A small web server for running the site with a working editor.
+ * It uses only Node's built-in modules, so there is nothing to install:
+ *
+ *   node server.js add-user <name>   Creates a user (or changes their password); asks for the password.
+ *   node server.js                   Serves the site on http://127.0.0.1:8080/
+ *
+ * It serves the pages in this folder and adds a small API used by edit.html (script-private.js):
+ *   GET  /api/status        Whether the server is there and who is logged in.
+ *   POST /api/login         Checks a user name and password and issues a session cookie.
+ *   POST /api/logout        Ends the session.
+ *   GET  /api/data/<file>   Reads the data file of a dataset listed in datasets.json (logged in only).
+ *   PUT  /api/data/<file>   Replaces one of those files (logged in only). The old file is copied to
+ *                           a timestamped backup first and the new one is written atomically.
+ *                           With an If-Match header holding the revision the editor started from,
+ *                           the save is refused (412) if somebody else has saved the file since.
+ *
+ * The users (salted scrypt password hashes) and the backups are kept outside this folder, so they are
+ * never served: in ~/.zosinfo-server by default, or in the folder named by ZOSINFO_STATE_DIR.
+ * PORT and HOST change where the server listens.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// =================================================================================
+// --- 1. CONFIGURATION ---
+// =================================================================================
+
+// The web root: the folder with the HTML pages, scripts and data files.
+const WEB_ROOT = __dirname;
+
+// Users and backups live here, outside the web root.
+const STATE_DIR = process.env.ZOSINFO_STATE_DIR || path.join(os.homedir(), '.zosinfo-server');
+const USERS_FILE = path.join(STATE_DIR, 'users.json');
+const BACKUP_DIR = path.join(STATE_DIR, 'backups');
+
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '127.0.0.1'; // Only this machine by default.
+
+// The dataset manifest. The only files the API reads and writes are the data files it lists (see readDataFiles).
+const DATASET_MANIFEST_FILE = 'datasets.json';
+
+const SESSION_COOKIE = 'zosinfo_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // A working day; after that the editor asks to log in again.
+
+// Repeated failed logins from one address are refused for a while.
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// The largest request body accepted (the zosinfo data file is under 1 MB).
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// The static file types that are served; anything else is a 404.
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4'
+};
+
+// =================================================================================
+// --- 2. USERS AND PASSWORDS ---
+// =================================================================================
+
+/**
+ * Hashes a password with scrypt and the given salt.
+ * @param {string} password The password.
+ * @param {string} salt The salt, hex encoded.
+ * @returns {Promise<string>} The hash, hex encoded.
+ */
+function hashPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, Buffer.from(salt, 'hex'), 64, (error, key) => {
+            if (error) reject(error);
+            else resolve(key.toString('hex'));
+        });
+    });
+}
+
+/**
+ * Reads the user accounts.
+ * @returns {Promise<Object<string, {salt: string, hash: string}>>} The users by name (empty if there are none yet).
+ */
+async function readUsers() {
+    try {
+        return JSON.parse(await fsp.readFile(USERS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Checks a user name and password.
+ * @returns {Promise<boolean>} True if they match an account.
+ */
+async function verifyUser(username, password) {
+    const users = await readUsers();
+    const user = Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+    // Hash even for an unknown user, so the response time doesn't reveal which names exist.
+    const salt = user ? user.salt : crypto.randomBytes(16).toString('hex');
+    const hash = Buffer.from(await hashPassword(String(password), salt), 'hex');
+    const expected = user ? Buffer.from(user.hash, 'hex') : crypto.randomBytes(hash.length);
+    return user !== null && expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Creates a user or replaces their password.
+ * @param {string} username The user name.
+ * @param {string} password The new password.
+ */
+async function setUserPassword(username, password) {
+    const users = await readUsers();
+    const salt = crypto.randomBytes(16).toString('hex');
+    users[username] = { salt, hash: await hashPassword(password, salt) };
+    await fsp.mkdir(STATE_DIR, { recursive: true, mode: 0o700 });
+    await writeFileAtomic(USERS_FILE, JSON.stringify(users, null, 2), 0o600);
+}
+
+/**
+ * Asks a question on the terminal without echoing the answer. When the input is not a terminal
+ * (e.g. `echo secret | node server.js add-user bob`), the first line of the input is used.
+ * @param {string} question The prompt.
+ * @returns {Promise<string>} The answer.
+ */
+function askHidden(question) {
+    return new Promise((resolve) => {
+        const input = process.stdin;
+        process.stdout.write(question);
+        let answer = '';
+        if (!input.isTTY) {
+            input.setEncoding('utf8');
+            input.on('data', chunk => { answer += chunk; });
+            input.on('end', () => {
+                process.stdout.write('\n');
+                resolve(answer.split(/\r?\n/)[0]);
+            });
+            return;
+        }
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        // A pasted password arrives as one chunk, so look at it a character at a time.
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    input.setRawMode(false);
+                    input.pause();
+                    input.removeListener('data', onData);
+                    process.stdout.write('\n');
+                    resolve(answer);
+                    return;
+                } else if (char === '\u0003') {
+                    process.stdout.write('\n');
+                    process.exit(130); // Ctrl+C
+                } else if (char === '\u007f' || char === '\b') {
+                    answer = answer.slice(0, -1);
+                } else {
+                    answer += char;
+                }
+            }
+        };
+        input.on('data', onData);
+        input.resume();
+    });
+}
+
+// =================================================================================
+// --- 3. SESSIONS ---
+// Sessions are kept in memory, so restarting the server logs everybody out.
+// =================================================================================
+
+const sessions = new Map(); // Session token -> { username, expires }
+const loginFailures = new Map(); // Client address -> { count, since }
+
+/** Creates a session and returns its token. */
+function createSession(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { username, expires: Date.now() + SESSION_TTL_MS });
+    return token;
+}
+
+/**
+ * Finds the session of a request.
+ * @returns {{token: string, username: string}|null} The session, or null if not logged in.
+ */
+function getSession(request) {
+    const token = parseCookies(request.headers.cookie)[SESSION_COOKIE];
+    if (!token) return null;
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return { token, username: session.username };
+}
+
+/** Parses a Cookie header into an object. A value that isn't valid percent-encoding is left out. */
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // A malformed cookie (e.g. '%E0%A4%A') must not turn every request into a server error.
+        }
+    });
+    return cookies;
+}
+
+/** Builds the Set-Cookie header for a session token (an empty token clears the cookie). */
+function sessionCookie(token) {
+    const maxAge = token ? Math.floor(SESSION_TTL_MS / 1000) : 0;
+    // HttpOnly keeps the token away from scripts; SameSite=Strict stops other sites from using it.
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+/** Returns true if the address has failed to log in too often recently. */
+function isLockedOut(address) {
+    const failures = loginFailures.get(address);
+    if (!failures) return false;
+    if (Date.now() - failures.since > LOGIN_LOCKOUT_MS) {
+        loginFailures.delete(address);
+        return false;
+    }
+    return failures.count >= LOGIN_MAX_FAILURES;
+}
+
+/** Counts a failed login from the address. */
+function recordLoginFailure(address) {
+    const failures = loginFailures.get(address);
+    if (failures && Date.now() - failures.since <= LOGIN_LOCKOUT_MS) {
+        failures.count++;
+    } else {
+        loginFailures.set(address, { count: 1, since: Date.now() });
+    }
+}
+
+// =================================================================================
+// --- 4. DATA FILES ---
+// =================================================================================
+
+/**
+ * Lists the data files the API may read and write: the "dataFile" of every dataset in datasets.json.
+ * The manifest is read on every call, so a dataset added to it can be saved without restarting the server.
+ * Only plain .json file names count, so the manifest can't point the API at files outside the web root.
+ * @returns {Promise<Array<string>>} The file names (empty if the manifest can't be read).
+ */
+async function readDataFiles() {
+    try {
+        const manifest = JSON.parse(await fsp.readFile(path.join(WEB_ROOT, DATASET_MANIFEST_FILE), 'utf8'));
+        return Object.values(manifest.datasets || {})
+            .map(dataset => dataset && dataset.dataFile)
+            .filter(fileName => typeof fileName === 'string' && /^[\w.-]+\.json$/.test(fileName) && fileName !== DATASET_MANIFEST_FILE);
+    } catch (error) {
+        console.error(`Could not read ${DATASET_MANIFEST_FILE}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Computes the revision of a data file: a hash of its exact content. script-private.js computes the
+ * same value from the text it loads, so the two can be compared.
+ * @param {string|Buffer} content The file content.
+ * @returns {string} E.g. 'sha256:9f86d0...'.
+ */
+function computeRevision(content) {
+    return 'sha256:' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Reads the revision of a data file.
+ * @returns {Promise<string|null>} The revision, or null if the file doesn't exist.
+ */
+async function readRevision(fileName) {
+    try {
+        return computeRevision(await fsp.readFile(path.join(WEB_ROOT, fileName)));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Writes a file atomically: the content goes to a temporary file in the same folder, which is then
+ * renamed over the target. Readers see either the old or the new file, never half of one.
+ * @param {string} target The file to write.
+ * @param {string} content The new content.
+ * @param {number} [mode] The file permissions.
+ */
+async function writeFileAtomic(target, content, mode = 0o644) {
+    const temp = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.${Date.now()}.tmp`);
+    const handle = await fsp.open(temp, 'w', mode);
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync(); // Make sure the data is on disk before the rename makes it visible.
+    } finally {
+        await handle.close();
+    }
+    try {
+        await fsp.rename(temp, target);
+    } catch (error) {
+        await fsp.unlink(temp).catch(() => {});
+        throw error;
+    }
+}
+
+// Writes to the same file are queued, so two saves arriving together can't interleave.
+const writeQueues = new Map();
+
+/**
+ * Backs up a data file and replaces it with new records.
+ * @param {string} fileName One of the files from `readDataFiles`.
+ * @param {Array<Object>} records The new content.
+ * @param {string|null} expectedRevision The revision the editor started from; null skips the check.
+ * @returns {Promise<{backup: string|null, revision: string}>} The name of the backup file (null if there
+ *          was no file to back up) and the revision of the new file.
+ * @throws {Error} With a `status` of 412 and the current `revision` if the file has a different revision.
+ */
+function saveDataFile(fileName, records, expectedRevision) {
+    const previous = writeQueues.get(fileName) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        // Checked inside the queue, so a save that was waiting sees the file written by the one before it.
+        const currentRevision = await readRevision(fileName);
+        if (expectedRevision && currentRevision !== expectedRevision) {
+            throw Object.assign(new Error('The file has been changed by someone else since you loaded it.'),
+                { status: 412, revision: currentRevision });
+        }
+        const target = path.join(WEB_ROOT, fileName);
+        await fsp.mkdir(BACKUP_DIR, { recursive: true, mode: 0o700 });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupName = fileName.replace(/\.json$/, `.${stamp}.json`);
+        let backup = backupName;
+        try {
+            await fsp.copyFile(target, path.join(BACKUP_DIR, backupName));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            backup = null;
+        }
+        // Same layout as the editor's download (two-space indentation).
+        const content = JSON.stringify(records, null, 2);
+        await writeFileAtomic(target, content);
+        return { backup, revision: computeRevision(content) };
+    });
+    writeQueues.set(fileName, next);
+    return next;
+}
+
+// =================================================================================
+// --- 5. HTTP HANDLING ---
+// =================================================================================
+
+/** Sends a JSON response. */
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @returns {Promise<*>} The parsed body.
+ * @throws {Error} With a `status` of 413 if the body is too large, or 400 if it isn't valid JSON.
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('The request is too large.'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('The request body is not valid JSON.'), { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/** Handles the /api/ routes. */
+async function handleApi(request, response, pathname) {
+    const session = getSession(request);
+
+    // Writes must come from the editor's own scripts: a plain HTML form can't send a JSON content type.
+    if (request.method !== 'GET' && !/^application\/json\b/.test(request.headers['content-type'] || '')) {
+        sendJson(response, 415, { error: 'Requests must be sent as application/json.' });
+        return;
+    }
+
+    if (pathname === '/api/status' && request.method === 'GET') {
+        sendJson(response, 200, { server: true, user: session ? session.username : null });
+        return;
+    }
+
+    if (pathname === '/api/login' && request.method === 'POST') {
+        const address = request.socket.remoteAddress;
+        if (isLockedOut(address)) {
+            sendJson(response, 429, { error: 'Too many failed logins. Please try again later.' });
+            return;
+        }
+        const body = await readJsonBody(request);
+        const username = body && typeof body.username === 'string' ? body.username : '';
+        const password = body && typeof body.password === 'string' ? body.password : '';
+        if (!username || !(await verifyUser(username, password))) {
+            recordLoginFailure(address);
+            sendJson(response, 401, { error: 'Incorrect user name or password.' });
+            return;
+        }
+        loginFailures.delete(address);
+        if (session) sessions.delete(session.token);
+        const token = createSession(username);
+        sendJson(response, 200, { user: username }, { 'Set-Cookie': sessionCookie(token) });
+        return;
+    }
+
+    if (pathname === '/api/logout' && request.method === 'POST') {
+        if (session) sessions.delete(session.token);
+        sendJson(response, 200, { user: null }, { 'Set-Cookie': sessionCookie('') });
+        return;
+    }
+
+    const dataMatch = pathname.match(/^\/api\/data\/([^/]+)$/);
+    if (dataMatch) {
+        const fileName = decodeURIComponent(dataMatch[1]);
+        if (!(await readDataFiles()).includes(fileName)) {
+            sendJson(response, 404, { error: `Unknown data file '${fileName}'.` });
+            return;
+        }
+        if (!session) {
+            sendJson(response, 401, { error: 'Please log in first.' });
+            return;
+        }
+        if (request.method === 'GET') {
+            const content = await fsp.readFile(path.join(WEB_ROOT, fileName));
+            response.writeHead(200, {
+                'Content-Type': CONTENT_TYPES['.json'],
+                'Cache-Control': 'no-store',
+                'ETag': `"${computeRevision(content)}"`
+            });
+            response.end(content);
+            return;
+        }
+        if (request.method === 'PUT') {
+            const records = await readJsonBody(request);
+            if (!Array.isArray(records) || !records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+                sendJson(response, 400, { error: 'The data must be an array of records.' });
+                return;
+            }
+            const expectedRevision = (request.headers['if-match'] || '').replace(/^"|"$/g, '') || null;
+            const { backup, revision } = await saveDataFile(fileName, records, expectedRevision);
+            console.log(`${new Date().toISOString()} ${session.username} saved ${fileName} (${records.length} records, backup: ${backup || 'none'})`);
+            sendJson(response, 200, { saved: fileName, records: records.length, backup, revision });
+            return;
+        }
+    }
+
+    sendJson(response, 404, { error: 'Not found.' });
+}
+
+/** Serves a file from the web root. */
+async function serveStatic(request, response, pathname) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' });
+        response.end();
+        return;
+    }
+    const relative = pathname === '/' ? 'index.html' : pathname.slice(1);
+    const filePath = path.resolve(WEB_ROOT, relative);
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    // Stay inside the web root, skip hidden files (.git and the like) and never serve this script itself.
+    const hidden = path.relative(WEB_ROOT, filePath).split(path.sep).some(part => part.startsWith('.'));
+    if (!filePath.startsWith(WEB_ROOT + path.sep) || hidden || filePath === __filename || !contentType) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+    let stat;
+    try {
+        stat = await fsp.stat(filePath);
+    } catch (error) {
+        stat = null;
+    }
+    if (!stat || !stat.isFile()) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+    response.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': stat.size,
+        // The data files change when the editor saves, so the browser must always check for a newer copy.
+        'Cache-Control': 'no-cache'
+    });
+    if (request.method === 'HEAD') {
+        response.end();
+        return;
+    }
+    fs.createReadStream(filePath).pipe(response);
+}
+
+/** Handles every request, turning unexpected errors into a 500 response. */
+async function handleRequest(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    try {
+        if (pathname.startsWith('/api/')) {
+            await handleApi(request, response, pathname);
+        } else {
+            await serveStatic(request, response, pathname);
+        }
+    } catch (error) {
+        if (error.status) {
+            sendJson(response, error.status, { error: error.message, revision: error.revision });
+            return;
+        }
+        console.error(`${request.method} ${pathname} failed:`, error);
+        if (!response.headersSent) sendJson(response, 500, { error: 'The server could not complete the request.' });
+        else response.end();
+    }
+}
+
+// =================================================================================
+// --- 6. COMMAND LINE ---
+// =================================================================================
+
+async function main() {
+    const [command, username] = process.argv.slice(2);
+
+    if (command === 'add-user') {
+        if (!username) {
+            console.error('Usage: node server.js add-user <name>');
+            process.exit(1);
+        }
+        const password = await askHidden(`Password for ${username}: `);
+        if (password.length < 8) {
+            console.error('The password must be at least 8 characters long.');
+            process.exit(1);
+        }
+        await setUserPassword(username, password);
+        console.log(`Saved user '${username}' in ${USERS_FILE}`);
+        return;
+    }
+    if (command) {
+        console.error(`Unknown command '${command}'. Use 'node server.js' or 'node server.js add-user <name>'.`);
+        process.exit(1);
+    }
+
+    const users = await readUsers();
+    if (Object.keys(users).length === 0) {
+        console.warn(`No users yet, so nobody can save. Create one with: node server.js add-user <name>`);
+    }
+    http.createServer(handleRequest).listen(PORT, HOST, () => {
+        console.log(`Serving ${WEB_ROOT} on http://${HOST}:${PORT}/ (users and backups in ${STATE_DIR})`);
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * SERVICE WORKER (OFFLINE SUPPORT)
+ * --------------------------------
+ * Makes the public pages work without a network connection, e.g. inside a restricted data-centre network
+ * or on a console laptop. It is registered by script-public.js; the editor (edit.html) and the converter
+ * are never served from here, so they always work on the real files.
+ *
+ *   - On install it stores the public pages, their scripts, the dataset manifest (datasets.json) and every
+ *     data file the manifest lists, so the site works offline after one visit.
+ *   - Those files are then served from the stored copy straight away, and fetched again in the background
+ *     ("stale-while-revalidate"), so the next visit gets the new version.
+ *   - When the background fetch finds that a data file has changed, the open pages get a 'data-updated'
+ *     message and offer to reload. When it fails (offline), they get 'data-offline' and show how old
+ *     their copy is. Every stored copy carries the time it was fetched in the X-Cached-At header.
+ */
+
+'use strict';
+
+// =================================================================================
+// --- 1. CONFIGURATION ---
+// =================================================================================
+
+// Change this when the list of files below changes; the old cache is deleted when the new worker takes over.
+const CACHE_NAME = 'zosinfo-offline-v1';
+
+// The dataset manifest. The data files and pages it lists are stored too.
+const DATASET_MANIFEST_FILE = 'datasets.json';
+
+// The public pages and everything they load (besides the data files).
+const APP_SHELL = [
+    './',
+    'index.html',
+    'zosinfo.html',
+    'linkedin.html',
+    'dataset.html',
+    'datasets.js',
+    'table-helpers.js',
+    'script-public.js',
+    'site.webmanifest',
+    'icon.svg',
+    DATASET_MANIFEST_FILE
+];
+
+// The header in which a stored response remembers when it was fetched.
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+// Pages that must always work on the real files (the editor and the converters), and the save API.
+// Neither they nor anything they load is served from the cache.
+const BYPASSED_PATHS = /(\/edit\.html|converter\.html)$|\/api\//;
+
+// =================================================================================
+// --- 2. INSTALLING AND ACTIVATING ---
+// =================================================================================
+
+/**
+ * Lists the files to store: the app shell plus the pages and data files of every dataset in the manifest.
+ * @returns {Promise<Array<string>>} The URLs, relative to the worker.
+ */
+async function listPrecacheUrls() {
+    const urls = new Set(APP_SHELL);
+    try {
+        const response = await fetch(DATASET_MANIFEST_FILE, { cache: 'no-cache' });
+        const manifest = await response.json();
+        Object.values(manifest.datasets || {}).forEach(dataset => {
+            if (dataset.dataFile) urls.add(dataset.dataFile);
+            if (dataset.htmlFile) urls.add(dataset.htmlFile.split('?')[0]);
+        });
+    } catch (error) {
+        console.error(`Could not read ${DATASET_MANIFEST_FILE}; only the pages are stored for offline use.`, error);
+    }
+    return Array.from(urls);
+}
+
+/**
+ * Fetches a file from the network and stores it, stamped with the time it was fetched.
+ * @param {Cache} cache The cache.
+ * @param {Request|string} request The file.
+ * @returns {Promise<Response>} The network response (not yet read).
+ */
+async function fetchAndStore(cache, request) {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) {
+        const body = await response.clone().blob();
+        const headers = new Headers(response.headers);
+        headers.set(CACHED_AT_HEADER, new Date().toISOString());
+        await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    }
+    return response;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const urls = await listPrecacheUrls();
+        // One missing file (e.g. a dataset whose data file isn't uploaded yet) must not stop the others.
+        await Promise.all(urls.map(url => fetchAndStore(cache, url).catch(error => {
+            console.error(`Could not store ${url} for offline use.`, error);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('zosinfo-offline-') && name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// =================================================================================
+// --- 3. SERVING FILES ---
+// =================================================================================
+
+/**
+ * Decides whether the worker handles a request: GET requests for the site's own files, made by (or
+ * navigating to) a public page. The editor, the converters and the save API always go to the network.
+ * @param {FetchEvent} event The fetch event.
+ * @returns {Promise<boolean>} True if the request should be served from the cache.
+ */
+async function isHandled(event) {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || BYPASSED_PATHS.test(url.pathname)) return false;
+    if (request.mode === 'navigate') return true;
+    const client = event.clientId ? await self.clients.get(event.clientId) : null;
+    return Boolean(client) && !BYPASSED_PATHS.test(new URL(client.url).pathname);
+}
+
+/**
+ * Tells the open pages about a data file: 'data-updated' when a newer version was stored,
+ * 'data-offline' when the network couldn't be reached to check.
+ * @param {string} type The message type.
+ * @param {string} url The file's URL.
+ * @param {string|null} cachedAt When the stored copy was fetched.
+ */
+async function notifyClients(type, url, cachedAt) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type, file: new URL(url).pathname.split('/').pop(), cachedAt }));
+}
+
+/** Returns true if the request is for a data file (or the manifest), whose changes the pages are told about. */
+function isDataRequest(request) {
+    return new URL(request.url).pathname.endsWith('.json');
+}
+
+/**
+ * Serves a request from the cache and refreshes the stored copy in the background; without a stored copy
+ * the network response is used (and stored). Pages are looked up without their query (?dataset=...).
+ * @param {FetchEvent} event The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const cacheKey = request.mode === 'navigate' ? request.url.split('?')[0].split('#')[0] : request.url;
+    const cached = await cache.match(cacheKey, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = (async () => {
+        const oldText = cached && isDataRequest(request) ? await cached.clone().text() : null;
+        const response = await fetchAndStore(cache, cacheKey);
+        if (oldText !== null && response.ok && (await response.clone().text()) !== oldText) {
+            await notifyClients('data-updated', request.url, null);
+        }
+        return response;
+    })();
+
+    if (!cached) return refresh;
+    // Keep the worker alive until the background check is done; a failure only means we are offline.
+    event.waitUntil(refresh.catch(() => {
+        if (isDataRequest(request)) return notifyClients('data-offline', request.url, cached.headers.get(CACHED_AT_HEADER));
+        return undefined;
+    }));
+    return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+    // respondWith must be called synchronously, so the decision is made inside the promise: requests the
+    // worker doesn't handle simply go to the network as if it wasn't there.
+    event.respondWith((async () => {
+        if (!(await isHandled(event))) return fetch(event.request);
+        return staleWhileRevalidate(event);
+    })());
+});
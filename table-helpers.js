@@ -0,0 +1,437 @@
+/**
+ * TABLE HELPERS (SHARED)
+ * ----------------------
+ * The parts of the data table that the public pages (script-public.js) and the editor (script-private.js) have
+ * in common and that don't depend on a page: the highlighting of JCL, REXX and shell code in a cell, the
+ * column filter syntax and the sort order of the rows. The page scripts keep their own state (the loaded
+ * records, the sort columns, the "Hide JCL sequence numbers" checkbox) and pass it in.
+ *
+ * This is a plain script, loaded after datasets.js and before the page script:
+ *     <script src="datasets.js"></script>
+ *     <script src="table-helpers.js"></script>
+ *     <script src="script-public.js"></script>
+ */
+
+// =================================================================================
+// --- CODE HIGHLIGHTING ---
+// =================================================================================
+
+// JCL columns: 1-71 hold the statement, 72 marks a continuation and 73-80 the sequence number.
+const JCL_STATEMENT_COLUMNS = 71;
+const JCL_CARD_COLUMNS = 80;
+
+// Multi-line 'info' values that contain code are highlighted (see renderCodeBlock). A REXX exec starts
+// with a comment naming REXX, JCL statements start with '//' in column 1, and a USS shell line starts
+// with a command. Commands that are also English words ('find', 'echo', ...) only count when followed
+// by an option, a path or a quoted argument, so prose like "find the dataset" stays prose.
+const REXX_HEADER_PATTERN = /^\s*\/\*.*\brexx\b.*\*\//i;
+const JCL_LINE_PATTERN = /^\/\/([A-Za-z$#@*]|\s|$)/;
+const SHELL_LINE_PATTERN = /^\s*(?:#!\/|\$\s+\w|(?:cd|ls|pwd|chmod|chown|chgrp|extattr|mkdir|rmdir|export|umask|oedit|obrowse|tsocmd|grep|pax|tar|cp|mv|rm|ps|ln|df|du|sed|awk|whoami)(?:\s|$)|(?:find|echo|cat|kill|su|touch|id)\s+[-\/~.$'"*])/;
+const REXX_KEYWORDS = new Set(['ADDRESS', 'ARG', 'BY', 'CALL', 'DO', 'DROP', 'ELSE', 'END', 'EXIT', 'EXPOSE', 'FOREVER',
+    'IF', 'INTERPRET', 'ITERATE', 'LEAVE', 'NOP', 'NUMERIC', 'OTHERWISE', 'PARSE', 'PROCEDURE', 'PULL', 'PUSH', 'QUEUE',
+    'RETURN', 'SAY', 'SELECT', 'SIGNAL', 'THEN', 'TO', 'TRACE', 'UNTIL', 'UPPER', 'VALUE', 'VAR', 'WHEN', 'WHILE', 'WITH']);
+
+/**
+ * Works out whether a multi-line value contains code worth highlighting. JCL that runs a REXX exec
+ * in-stream is JCL, so whichever marker comes first decides.
+ * @param {string} value The cell value.
+ * @returns {'jcl'|'rexx'|'shell'|null} The kind of code, or null for plain text.
+ */
+function detectCodeLanguage(value) {
+    if (!value.includes('\n')) return null;
+    const lines = value.split(/\r\n|\r|\n/);
+    const firstRexx = lines.findIndex(line => REXX_HEADER_PATTERN.test(line));
+    const firstJcl = lines.findIndex(line => JCL_LINE_PATTERN.test(line));
+    if (firstJcl !== -1 && (firstRexx === -1 || firstJcl < firstRexx)) return 'jcl';
+    if (firstRexx !== -1) return 'rexx';
+    if (lines.some(line => SHELL_LINE_PATTERN.test(line))) return 'shell';
+    return null;
+}
+
+/**
+ * Renders a value containing code as a <pre> block, line by line, with syntax highlighting.
+ * Every line is kept (continuation lines included); lines that aren't code, such as the
+ * description that usually comes first, are shown as plain text.
+ * @param {string} value The cell value.
+ * @param {'jcl'|'rexx'|'shell'} language The kind of code, see `detectCodeLanguage`.
+ * @param {{stripSequenceNumbers: boolean}} [options] Whether JCL is shown without the sequence numbers in columns 73-80.
+ * @returns {HTMLPreElement} The rendered block.
+ */
+function renderCodeBlock(value, language, options = {}) {
+    // Use a <pre> tag to preserve line breaks and spacing.
+    const pre = document.createElement('pre');
+    pre.className = `code-block code-${language}`;
+    pre.style.margin = '0';
+    pre.style.fontFamily = 'inherit';
+    pre.style.fontSize = 'inherit';
+    pre.style.whiteSpace = 'pre-wrap';
+    pre.style.wordWrap = 'break-word';
+
+    // What the previous lines left open: a continued JCL statement, in-stream data, a REXX comment;
+    // and whether the JCL sequence numbers are left out.
+    const state = { continued: false, inStream: null, rexxStarted: false, inComment: false,
+        stripSequenceNumbers: Boolean(options.stripSequenceNumbers) };
+    value.split(/\r\n|\r|\n/).forEach((line, index) => {
+        if (index > 0) pre.appendChild(document.createTextNode('\n'));
+        if (language === 'jcl') {
+            appendJclLine(pre, line, state);
+        } else if (language === 'rexx') {
+            state.rexxStarted = state.rexxStarted || REXX_HEADER_PATTERN.test(line);
+            if (state.rexxStarted) appendRexxLine(pre, line, state);
+            else appendCodeToken(pre, line);
+        } else if (SHELL_LINE_PATTERN.test(line)) {
+            appendShellLine(pre, line);
+        } else {
+            appendCodeToken(pre, line);
+        }
+    });
+    return pre;
+}
+
+/** Appends a piece of text, wrapped in a <span> with the given class if there is one. */
+function appendCodeToken(parent, text, className) {
+    if (text === '') return;
+    if (!className) {
+        parent.appendChild(document.createTextNode(text));
+        return;
+    }
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    parent.appendChild(span);
+}
+
+/**
+ * Returns true if a JCL line carries a sequence number in columns 73-80. The system ignores those
+ * columns, but copied into a job with the columns shifted they break it.
+ */
+function hasSequenceNumber(line) {
+    return line.length > JCL_STATEMENT_COLUMNS + 1
+        && /^\s*\d+\s*$/.test(line.slice(JCL_STATEMENT_COLUMNS + 1, JCL_CARD_COLUMNS))
+        && line.slice(JCL_CARD_COLUMNS).trim() === '';
+}
+
+/** Removes the sequence number in columns 73-80 of a JCL line, and the blanks left in front of it. */
+function removeSequenceNumber(line) {
+    return hasSequenceNumber(line) ? line.slice(0, JCL_STATEMENT_COLUMNS + 1).trimEnd() : line;
+}
+
+/**
+ * Tells what a line of a JCL block is. In-stream data runs from a DD * or DD DATA statement up to its
+ * delimiter ('/*' unless DLM= names another); after DD * a '//' statement also ends it.
+ * @param {string} line The line.
+ * @param {Object} state What the previous lines left open (see renderCodeBlock); `inStream` is updated.
+ * @returns {'statement'|'delimiter'|'data'|'prose'} The kind of line.
+ */
+function classifyJclLine(line, state) {
+    const isStatement = line.startsWith('//');
+    const inStream = state.inStream;
+    if (inStream) {
+        if (!isStatement && line.startsWith(inStream.delimiter)) {
+            state.inStream = null;
+            return 'delimiter';
+        }
+        if (!(inStream.endsAtStatement && isStatement)) return 'data';
+        state.inStream = null;
+    }
+    if (isStatement) {
+        const dd = /^\/\/(?!\*)\S*\s+DD\s+(\*|DATA)(,\S*)?(\s|$)/i.exec(line);
+        if (dd) {
+            const delimiter = /DLM=('?)([^',\s]{2})\1/i.exec(dd[2] || '');
+            state.inStream = { delimiter: delimiter ? delimiter[2] : '/*', endsAtStatement: dd[1] === '*' };
+        }
+        return 'statement';
+    }
+    return line.startsWith('/*') ? 'delimiter' : 'prose';
+}
+
+/**
+ * Appends one line of a JCL block: a statement, a comment, a delimiter, in-stream data or prose.
+ * @param {HTMLElement} parent The <pre> block.
+ * @param {string} line The line.
+ * @param {Object} state What the previous lines left open (see renderCodeBlock).
+ */
+function appendJclLine(parent, line, state) {
+    if (state.stripSequenceNumbers) line = removeSequenceNumber(line);
+    const kind = classifyJclLine(line, state);
+    if (kind === 'data') {
+        appendCardImage(parent, line, (target, text) => appendCodeToken(target, text, 'jcl-data'));
+    } else if (kind === 'statement') {
+        appendCardImage(parent, line, (target, text) => appendJclStatement(target, text, state));
+    } else if (kind === 'delimiter') {
+        appendCardImage(parent, line, (target, text) => {
+            const match = /^(\S*)(.*)$/.exec(text);
+            appendCodeToken(target, match[1], 'jcl-delimiter');
+            appendCodeToken(target, match[2], match[2].trim() !== '' ? 'jcl-comment' : '');
+        });
+    } else {
+        state.continued = false;
+        appendCodeToken(parent, line);
+    }
+}
+
+/**
+ * Appends a line of JCL as an 80-column card: the first 71 columns are rendered by `renderStatement`,
+ * anything after them is flagged, as a sequence number (columns 73-80) or as text the system won't read.
+ */
+function appendCardImage(parent, line, renderStatement) {
+    const statementEnd = line.trimEnd().length > JCL_STATEMENT_COLUMNS ? JCL_STATEMENT_COLUMNS : line.length;
+    renderStatement(parent, line.slice(0, statementEnd));
+    const rest = line.slice(statementEnd);
+    if (rest === '') return;
+    const flag = document.createElement('span');
+    if (hasSequenceNumber(line)) {
+        flag.className = 'jcl-sequence';
+        flag.title = `Sequence number in columns ${JCL_STATEMENT_COLUMNS + 2}-${JCL_CARD_COLUMNS}. Remove it before pasting the JCL into a member with different columns.`;
+    } else {
+        flag.className = 'jcl-overflow';
+        flag.title = `This line is longer than ${JCL_STATEMENT_COLUMNS} columns. Everything from column ${JCL_STATEMENT_COLUMNS + 1} on is not part of the statement.`;
+    }
+    flag.textContent = rest;
+    parent.appendChild(flag);
+}
+
+/**
+ * Appends a '//' statement (columns 1-71), split into its name, operation, operand and comment fields.
+ * @param {HTMLElement} parent The <pre> block.
+ * @param {string} text The statement.
+ * @param {Object} state What the previous lines left open (see renderCodeBlock).
+ */
+function appendJclStatement(parent, text, state) {
+    if (text.startsWith('//*')) {
+        appendCodeToken(parent, text, 'jcl-comment');
+        return;
+    }
+    const match = /^\/\/(\S*)(\s*)(.*)$/.exec(text);
+    appendCodeToken(parent, '//', 'jcl-slashes');
+    appendCodeToken(parent, match[1], 'jcl-name');
+    appendCodeToken(parent, match[2]);
+    let rest = match[3];
+    // A statement whose operands ended with a comma continues here with more operands, without an operation.
+    if (!state.continued) {
+        const parts = /^(\S*)(\s*)(.*)$/.exec(rest);
+        appendCodeToken(parent, parts[1], 'jcl-operation');
+        appendCodeToken(parent, parts[2]);
+        rest = parts[3];
+    }
+    // The operands end at the first blank that isn't inside apostrophes; the rest of the line is a comment.
+    let end = 0;
+    let quoted = false;
+    while (end < rest.length && (quoted || rest[end] !== ' ')) {
+        if (rest[end] === "'") quoted = !quoted;
+        end++;
+    }
+    const operands = rest.slice(0, end);
+    appendCodeToken(parent, operands, 'jcl-operands');
+    appendCodeToken(parent, rest.slice(end), rest.slice(end).trim() !== '' ? 'jcl-comment' : '');
+    state.continued = operands.endsWith(',');
+}
+
+/**
+ * Appends a line of a REXX exec, highlighting comments (which may span lines), strings and keywords.
+ * @param {HTMLElement} parent The <pre> block.
+ * @param {string} line The line.
+ * @param {Object} state What the previous lines left open (see renderCodeBlock).
+ */
+function appendRexxLine(parent, line, state) {
+    // Strings, symbols, runs of anything else, or a lone '/' (which may start a comment).
+    const tokenPattern = /'[^']*'?|"[^"]*"?|[A-Za-z_@#$!?][\w@#$!?.]*|[^'"A-Za-z_@#$!?\/]+|\//y;
+    let position = 0;
+    while (position < line.length) {
+        if (state.inComment || line.startsWith('/*', position)) {
+            const close = line.indexOf('*/', state.inComment ? position : position + 2);
+            const end = close === -1 ? line.length : close + 2;
+            appendCodeToken(parent, line.slice(position, end), 'code-comment');
+            state.inComment = close === -1;
+            position = end;
+            continue;
+        }
+        tokenPattern.lastIndex = position;
+        const token = tokenPattern.exec(line)[0];
+        let className = '';
+        if (token[0] === "'" || token[0] === '"') className = 'code-string';
+        else if (REXX_KEYWORDS.has(token.toUpperCase())) className = 'code-keyword';
+        appendCodeToken(parent, token, className);
+        position += token.length;
+    }
+}
+
+/** Appends a line of a USS shell snippet, highlighting commands, options, strings, variables and comments. */
+function appendShellLine(parent, line) {
+    const tokenPattern = /\s+|'[^']*'?|"(?:\\.|[^"\\])*"?|#.*|\$\{?\w+\}?|[|&;<>]+|[^\s'"|&;<>$]+|\$/y;
+    let expectCommand = true; // The first word, and the first word after a pipe or ';', is a command.
+    let position = 0;
+    while (position < line.length) {
+        tokenPattern.lastIndex = position;
+        const token = tokenPattern.exec(line)[0];
+        let className = '';
+        if (/^\s/.test(token) || token === '$') {
+            className = ''; // Blanks, and the '$ ' of a shell prompt.
+        } else if (token[0] === "'" || token[0] === '"') {
+            className = 'code-string';
+        } else if (token[0] === '#') {
+            className = 'code-comment';
+        } else if (token[0] === '$') {
+            className = 'code-variable';
+        } else if (/^[|&;<>]/.test(token)) {
+            className = 'code-operator';
+            expectCommand = true;
+        } else if (expectCommand) {
+            className = 'code-keyword';
+            expectCommand = false;
+        } else if (token[0] === '-') {
+            className = 'code-option';
+        }
+        appendCodeToken(parent, token, className);
+        position += token.length;
+    }
+}
+
+// =================================================================================
+// --- COLUMN FILTERS ---
+// =================================================================================
+
+// Tooltip shown on every column filter, describing the filter syntax.
+const FILTER_SYNTAX_HELP = 'Filter syntax: term, -exclude, a|b, "exact phrase", =whole value, /regex/';
+
+/**
+ * Parses the text of a column filter into a small query.
+ * Supported syntax (terms separated by spaces must ALL match):
+ *   - `term`        the cell contains 'term' (case-insensitive).
+ *   - `-term`       the cell does NOT contain 'term'.
+ *   - `a|b`         the cell contains 'a' OR 'b'.
+ *   - `"two words"` the cell contains the exact phrase, spaces included.
+ *   - `=value`      the whole cell equals 'value' (ignoring case and surrounding spaces).
+ *   - `/regex/`     the cell matches the regular expression (case-insensitive unless flags are given).
+ * @param {string} text The raw text typed into a `.filter-input`.
+ * @returns {{clauses: Array<Object>, error: string|null}} The parsed clauses, or an error message if the text is invalid.
+ */
+function parseFilterExpression(text) {
+    const clauses = [];
+    let position = 0;
+
+    // Reads a single alternative (a word, a "phrase", an =exact value or a /regex/) starting at `position`.
+    function readAlternative() {
+        let exact = false;
+        if (text[position] === '=') {
+            exact = true;
+            position++;
+        }
+
+        if (text[position] === '"') {
+            const end = text.indexOf('"', position + 1);
+            if (end === -1) throw new Error('Missing closing quote (").');
+            const value = text.slice(position + 1, end);
+            position = end + 1;
+            return { kind: exact ? 'exact' : 'contains', value: value.toLowerCase() };
+        }
+
+        if (!exact && text[position] === '/') {
+            let end = position + 1;
+            while (end < text.length && text[end] !== '/') {
+                end += text[end] === '\\' ? 2 : 1; // Skip over escaped characters such as '\/'.
+            }
+            if (end >= text.length) throw new Error('Missing closing slash (/) for the regular expression.');
+            const source = text.slice(position + 1, end);
+            position = end + 1;
+            let flags = '';
+            while (position < text.length && /[imsu]/.test(text[position])) flags += text[position++];
+            try {
+                return { kind: 'regex', value: new RegExp(source, flags || 'i') };
+            } catch (error) {
+                // The browser's message already reads 'Invalid regular expression: ...'.
+                throw new Error(error.message);
+            }
+        }
+
+        const start = position;
+        while (position < text.length && !/[\s|"]/.test(text[position])) position++;
+        const value = text.slice(start, position);
+        if (value === '') throw new Error(exact ? "Nothing to match after '='." : 'Empty search term.');
+        return { kind: exact ? 'exact' : 'contains', value: value.toLowerCase() };
+    }
+
+    try {
+        while (position < text.length) {
+            if (/\s/.test(text[position])) {
+                position++;
+                continue;
+            }
+
+            let negated = false;
+            if (text[position] === '-') {
+                negated = true;
+                position++;
+                if (position >= text.length || /\s/.test(text[position])) throw new Error("Nothing to exclude after '-'.");
+            }
+
+            const alternatives = [readAlternative()];
+            while (text[position] === '|') {
+                position++;
+                alternatives.push(readAlternative());
+            }
+            if (position < text.length && !/\s/.test(text[position])) {
+                throw new Error(`Unexpected character '${text[position]}' at position ${position + 1}.`);
+            }
+            clauses.push({ negated, alternatives });
+        }
+    } catch (error) {
+        return { clauses: [], error: error.message };
+    }
+    return { clauses, error: null };
+}
+
+/**
+ * Tests a cell value against the clauses produced by `parseFilterExpression`.
+ * @param {Array<Object>} clauses The parsed filter clauses.
+ * @param {*} cellValue The raw value of the cell.
+ * @param {string} [lowerText] The lowercase cell value from the search index, if available.
+ * @returns {boolean} True if the cell satisfies every clause.
+ */
+function matchesFilterExpression(clauses, cellValue, lowerText) {
+    const text = String(cellValue === undefined || cellValue === null ? '' : cellValue);
+    if (lowerText === undefined) lowerText = text.toLowerCase();
+    return clauses.every(clause => {
+        const matched = clause.alternatives.some(alternative => {
+            switch (alternative.kind) {
+                case 'exact': return lowerText.trim() === alternative.value.trim();
+                case 'regex': return alternative.value.test(text);
+                default: return lowerText.includes(alternative.value);
+            }
+        });
+        return clause.negated ? !matched : matched;
+    });
+}
+
+// =================================================================================
+// --- SORTING ---
+// =================================================================================
+
+// Natural ordering: 'ca7' comes before 'ca11' and Sno '9' before '10'; case and accents are ignored.
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Sorts a list of row indices by the given sort keys. Empty values always go last, and rows
+ * that compare equal keep their existing order (file order, or search rank).
+ * @param {Array<Object>} records The records the indices point into (the page's `currentData`).
+ * @param {Array<number>} rowIndices Indices into `records`.
+ * @param {Array<{header: string, direction: 'asc'|'desc'}>} sortKeys The sort columns, the first one deciding first.
+ * @returns {Array<number>} The same indices, sorted.
+ */
+function sortRowIndices(records, rowIndices, sortKeys) {
+    if (sortKeys.length === 0) return rowIndices;
+    const positions = new Map(rowIndices.map((rowIndex, position) => [rowIndex, position]));
+    return rowIndices.slice().sort((a, b) => {
+        for (const { header, direction } of sortKeys) {
+            const valueA = String(records[a][header] === undefined || records[a][header] === null ? '' : records[a][header]).trim();
+            const valueB = String(records[b][header] === undefined || records[b][header] === null ? '' : records[b][header]).trim();
+            if (valueA === '' || valueB === '') {
+                if (valueA !== valueB) return valueA === '' ? 1 : -1;
+                continue;
+            }
+            const result = naturalCollator.compare(valueA, valueB);
+            if (result !== 0) return direction === 'asc' ? result : -result;
+        }
+        return positions.get(a) - positions.get(b);
+    });
+}
@@ -0,0 +1,103 @@
+/**
+ * Tests of check-links.js against a local stub server, so they run without a network:
+ *
+ *   node --test test/
+ *
+ * The stub answers each kind of address the checker has to tell apart (a page, a moved page, a redirect
+ * loop, a deleted page, a site that never answers); a temporary folder with a datasets.json and one data
+ * file that uses those addresses stands in for --root.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fsp = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { collectLinks, checkUrls, buildReport } = require('../check-links.js');
+
+// Short limits, so the address that never answers doesn't hold the run up.
+const OPTIONS = { concurrency: 8, perHost: 8, timeout: 500, maxRedirects: 3 };
+
+/** The stub server: one route per kind of result. '/hang' never answers. */
+function startStubServer() {
+    const server = http.createServer((request, response) => {
+        switch (request.url) {
+            case '/ok':
+                response.writeHead(200, { 'Content-Type': 'text/html' });
+                response.end('<p>ok</p>');
+                break;
+            case '/moved':
+                response.writeHead(301, { Location: '/ok' });
+                response.end();
+                break;
+            case '/loop':
+                response.writeHead(302, { Location: '/loop' });
+                response.end();
+                break;
+            case '/hang':
+                break;
+            default:
+                response.writeHead(404);
+                response.end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('checks every address in the data files and orders the report', async (t) => {
+    const server = await startStubServer();
+    t.after(() => {
+        // The '/hang' request is still open; close it with the server so the run ends.
+        server.closeAllConnections();
+        server.close();
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'check-links-'));
+    t.after(() => fsp.rm(root, { recursive: true, force: true }));
+    await fsp.writeFile(path.join(root, 'datasets.json'), JSON.stringify({
+        datasets: {
+            test: { dataFile: 'test-data.json', columns: [{ name: 'topic' }, { name: 'url', type: 'url' }, { name: 'info' }] }
+        }
+    }));
+    await fsp.writeFile(path.join(root, 'test-data.json'), JSON.stringify([
+        { id: 'r1', topic: 'A page', url: `${base}/ok` },
+        { id: 'r2', topic: 'A moved page', url: `${base}/moved` },
+        { id: 'r3', topic: 'A redirect loop', url: `${base}/loop`, info: `Same page as ${base}/ok.` },
+        { id: 'r4', topic: 'A deleted page', url: `${base}/gone` },
+        { id: 'r5', topic: 'A site that never answers', url: `${base}/hang` }
+    ]));
+
+    const links = await collectLinks(root);
+    assert.deepEqual(Array.from(links.keys()).sort(), ['/gone', '/hang', '/loop', '/moved', '/ok'].map(route => base + route).sort());
+    // The address written inside the 'info' text counts as a second use of the page.
+    assert.deepEqual(links.get(`${base}/ok`).map(use => `${use.id}.${use.field}`), ['r1.url', 'r3.info']);
+
+    const results = await checkUrls(Array.from(links.keys()), OPTIONS);
+    const resultOf = route => results.get(base + route);
+    assert.equal(resultOf('/ok').result, 'ok');
+    assert.equal(resultOf('/moved').result, 'redirected');
+    assert.equal(resultOf('/moved').finalUrl, `${base}/ok`);
+    assert.equal(resultOf('/loop').result, 'error');
+    assert.match(resultOf('/loop').error, /More than 3 redirects/);
+    assert.equal(resultOf('/gone').result, 'broken');
+    assert.equal(resultOf('/gone').status, 404);
+    assert.equal(resultOf('/hang').result, 'error');
+    assert.match(resultOf('/hang').error, /No answer within 500 ms/);
+
+    // The report lists what needs attention first (see RESULT_ORDER), then by address.
+    const report = buildReport(links, results);
+    assert.deepEqual(report.links.map(entry => [entry.result, entry.url.slice(base.length)]), [
+        ['broken', '/gone'],
+        ['error', '/hang'],
+        ['error', '/loop'],
+        ['redirected', '/moved'],
+        ['ok', '/ok']
+    ]);
+    assert.deepEqual(report.summary, { urls: 5, broken: 1, error: 2, redirected: 1, blocked: 0, ok: 1 });
+    assert.deepEqual(report.links[4].records.map(use => use.id), ['r1', 'r3']);
+});